@@ -0,0 +1,350 @@
+// ==========================
+//  T20 MATCH ENGINE
+// ==========================
+// Simulates a T20 match ball by ball between two playing XIs. Every random
+// draw comes from a generator seeded by the caller, so the same seed and the
+// same XIs always produce the same scorecards.
+
+const OVERS_PER_INNINGS = 20;
+const BALLS_PER_OVER = 6;
+const MAX_OVERS_PER_BOWLER = 4;
+const WICKETS_PER_INNINGS = 10;
+const MIN_BOWLERS = Math.ceil(OVERS_PER_INNINGS / MAX_OVERS_PER_BOWLER);
+
+const POWERPLAY_OVERS = 6;
+const DEATH_OVERS_FROM = 16;
+
+// FNV-1a, so string seeds like "ROOM42:3" work as well as numbers
+function hashSeed(seed) {
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// mulberry32: small, fast and good enough for game outcomes
+function createRng(seed) {
+    let a = hashSeed(seed);
+    return function () {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function formatOvers(balls) {
+    return `${Math.floor(balls / BALLS_PER_OVER)}.${balls % BALLS_PER_OVER}`;
+}
+
+// Batting and bowling skill including the player's form modifier
+function battingSkill(p) {
+    return clamp((parseInt(p.bat) || 0) + (p.form || 0), 1, 110);
+}
+
+function bowlingSkill(p) {
+    return clamp((parseInt(p.bowl) || 0) + (p.form || 0), 1, 110);
+}
+
+// Best bowling options first: specialist bowlers and all-rounders, topped up
+// with part-timers when a side has fewer than five real options
+function pickBowlers(players) {
+    const byBowling = [...players].sort((a, b) => bowlingSkill(b) - bowlingSkill(a));
+    const specialists = byBowling.filter(p => p.role === "Bowler" || p.role === "All-Rounder");
+    const attack = specialists.slice(0, 6);
+    for (const p of byBowling) {
+        if (attack.length >= MIN_BOWLERS) break;
+        if (!attack.includes(p)) attack.push(p);
+    }
+    return attack;
+}
+
+// The strongest available bowler who did not bowl the previous over and has
+// overs left. Strike bowlers are saved a little for the death.
+function chooseBowler(attack, figures, over, previousId) {
+    let best = null;
+    let bestScore = -Infinity;
+    attack.forEach(p => {
+        const f = figures.get(p.id);
+        if (p.id === previousId || f.balls >= MAX_OVERS_PER_BOWLER * BALLS_PER_OVER) return;
+        const oversLeft = MAX_OVERS_PER_BOWLER - Math.floor(f.balls / BALLS_PER_OVER);
+        let score = bowlingSkill(p) - (MAX_OVERS_PER_BOWLER - oversLeft) * 4;
+        if (over >= DEATH_OVERS_FROM) score += oversLeft * 3;
+        if (score > bestScore) {
+            bestScore = score;
+            best = p;
+        }
+    });
+    // Only reachable with fewer than five usable bowlers: anyone may bowl
+    return best || attack.find(p => p.id !== previousId) || attack[0];
+}
+
+// Probability table for one legal delivery
+function deliveryOdds(batter, bowler, fieldingAvg, over, pressure) {
+    const edge = (battingSkill(batter) - bowlingSkill(bowler)) / 100;
+    const fieldEdge = (fieldingAvg - 75) / 100;
+    let boundaryBoost = 0;
+    let wicketBoost = 0;
+
+    if (over < POWERPLAY_OVERS) boundaryBoost += 0.02;
+    if (over >= DEATH_OVERS_FROM) {
+        boundaryBoost += 0.04;
+        wicketBoost += 0.015;
+    }
+    // Chasing sides take more risks when the required rate climbs
+    boundaryBoost += pressure * 0.03;
+    wicketBoost += pressure * 0.02;
+
+    return [
+        { runs: "W", p: clamp(0.05 - edge * 0.04 + fieldEdge * 0.02 + wicketBoost, 0.01, 0.2) },
+        { runs: 0, p: clamp(0.34 - edge * 0.1, 0.15, 0.55) },
+        { runs: 1, p: clamp(0.33 - fieldEdge * 0.03, 0.2, 0.45) },
+        { runs: 2, p: clamp(0.07 - fieldEdge * 0.03, 0.02, 0.12) },
+        { runs: 3, p: 0.01 },
+        { runs: 4, p: clamp(0.11 + edge * 0.06 + boundaryBoost, 0.03, 0.25) },
+        { runs: 6, p: clamp(0.05 + edge * 0.05 + boundaryBoost * 0.7, 0.01, 0.18) }
+    ];
+}
+
+function drawOutcome(odds, rng) {
+    const total = odds.reduce((sum, o) => sum + o.p, 0);
+    let roll = rng() * total;
+    for (const o of odds) {
+        roll -= o.p;
+        if (roll <= 0) return o.runs;
+    }
+    return odds[odds.length - 1].runs;
+}
+
+const WIDE_CHANCE = 0.03;
+
+/**
+ * Plays one innings. `target` is set for the chasing side, the innings ends
+ * as soon as it is reached.
+ */
+function simulateInnings(battingSide, bowlingSide, rng, target = null) {
+    const batting = battingSide.players.map(p => ({
+        id: p.id, name: p.name, runs: 0, balls: 0, fours: 0, sixes: 0, out: false, dismissal: null, batted: false
+    }));
+    const attack = pickBowlers(bowlingSide.players);
+    const figures = new Map(attack.map(p => [p.id, { id: p.id, name: p.name, balls: 0, runs: 0, wickets: 0 }]));
+    const fieldingAvg = bowlingSide.players.reduce((sum, p) => sum + (parseInt(p.field) || 0), 0) / (bowlingSide.players.length || 1);
+
+    // A side of n batters is all out after n - 1 wickets (a lone batter after one)
+    const wicketLimit = Math.max(1, Math.min(WICKETS_PER_INNINGS, battingSide.players.length - 1));
+    let runs = 0, wickets = 0, balls = 0, extras = 0;
+    let striker = 0, nonStriker = 1, nextIn = 2;
+    let previousBowlerId = null;
+    const fallOfWickets = [];
+    const changeEnds = () => {
+        if (batting[nonStriker]) [striker, nonStriker] = [nonStriker, striker];
+    };
+
+    if (batting[striker]) batting[striker].batted = true;
+    if (batting[nonStriker]) batting[nonStriker].batted = true;
+
+    for (let over = 0; over < OVERS_PER_INNINGS; over++) {
+        const bowler = chooseBowler(attack, figures, over, previousBowlerId);
+        const bowlerFigures = figures.get(bowler.id);
+        let legalBalls = 0;
+
+        while (legalBalls < BALLS_PER_OVER) {
+            if (rng() < WIDE_CHANCE) {
+                runs += 1;
+                extras += 1;
+                bowlerFigures.runs += 1;
+            } else {
+                const batterCard = batting[striker];
+                const batter = battingSide.players[striker];
+                const ballsLeft = OVERS_PER_INNINGS * BALLS_PER_OVER - balls;
+                const pressure = target !== null
+                    ? clamp(((target - runs) / Math.max(1, ballsLeft)) * BALLS_PER_OVER / 8 - 1, 0, 1.5)
+                    : 0;
+                const outcome = drawOutcome(deliveryOdds(batter, bowler, fieldingAvg, over, pressure), rng);
+
+                legalBalls++;
+                balls++;
+                batterCard.balls++;
+                bowlerFigures.balls++;
+
+                if (outcome === "W") {
+                    wickets++;
+                    bowlerFigures.wickets++;
+                    batterCard.out = true;
+                    batterCard.dismissal = `b ${bowler.name}`;
+                    fallOfWickets.push({ runs, wickets, overs: formatOvers(balls), batter: batterCard.name });
+                    if (wickets >= wicketLimit) break;
+                    striker = nextIn++;
+                    batting[striker].batted = true;
+                } else {
+                    runs += outcome;
+                    batterCard.runs += outcome;
+                    bowlerFigures.runs += outcome;
+                    if (outcome === 4) batterCard.fours++;
+                    if (outcome === 6) batterCard.sixes++;
+                    if (outcome % 2 === 1) changeEnds();
+                }
+            }
+            if (target !== null && runs >= target) break;
+        }
+
+        previousBowlerId = bowler.id;
+        if (wickets >= wicketLimit || (target !== null && runs >= target)) break;
+        changeEnds();
+    }
+
+    const battedCards = batting.filter(b => b.batted);
+    const topScorer = battedCards.reduce((best, b) =>
+        (!best || b.runs > best.runs || (b.runs === best.runs && b.balls < best.balls)) ? b : best, null);
+    const bowlingCards = Array.from(figures.values())
+        .filter(f => f.balls > 0)
+        .map(f => ({ ...f, overs: formatOvers(f.balls) }));
+    const bestBowler = bowlingCards.reduce((best, f) =>
+        (!best || f.wickets > best.wickets || (f.wickets === best.wickets && f.runs < best.runs)) ? f : best, null);
+
+    return {
+        teamId: battingSide.id,
+        teamName: battingSide.name,
+        runs,
+        wickets,
+        balls,
+        overs: formatOvers(balls),
+        extras,
+        allOut: wickets >= wicketLimit,
+        batting: battedCards,
+        bowling: bowlingCards,
+        fallOfWickets,
+        topScorer: topScorer ? { id: topScorer.id, name: topScorer.name, runs: topScorer.runs, balls: topScorer.balls } : null,
+        bestBowler: bestBowler ? { id: bestBowler.id, name: bestBowler.name, wickets: bestBowler.wickets, runs: bestBowler.runs, overs: bestBowler.overs } : null
+    };
+}
+
+// Impact players come on at the innings break and take the replaced player's
+// place in the order, so the side batting first gains a bowler/fielder and
+// the chasing side a batter. Returns the side as it plays the second innings.
+function applyImpactPlayer(side) {
+    if (!side.impact || !side.players.some(p => p.id === side.impact.replacesId)) return side;
+    return {
+        ...side,
+        players: side.players.map(p => p.id === side.impact.replacesId ? side.impact.player : p)
+    };
+}
+
+/**
+ * Simulates a full match. A side is `{ id, name, players, impact? }` with
+ * players in batting order; each player may carry a `form` modifier added to
+ * bat/bowl. `impact` is `{ player, replacesId }`, see applyImpactPlayer.
+ * Returns both scorecards and the result; `winnerId` is null for a tie.
+ */
+function simulateMatch(sideA, sideB, seed) {
+    const rng = createRng(seed);
+    const tossWinner = rng() < 0.5 ? sideA : sideB;
+    // Toss winners chase: the engine has no pitch model, so keep it simple
+    const battingFirst = tossWinner === sideA ? sideB : sideA;
+    const battingSecond = battingFirst === sideA ? sideB : sideA;
+
+    const first = simulateInnings(battingFirst, battingSecond, rng);
+    const second = simulateInnings(applyImpactPlayer(battingSecond), applyImpactPlayer(battingFirst), rng, first.runs + 1);
+    const impactSubs = [battingFirst, battingSecond]
+        .filter(side => applyImpactPlayer(side) !== side)
+        .map(side => {
+            const out = side.players.find(p => p.id === side.impact.replacesId);
+            return { teamId: side.id, inId: side.impact.player.id, inName: side.impact.player.name, outId: out.id, outName: out.name };
+        });
+
+    let winnerId = null;
+    let margin = "Match tied";
+    if (second.runs > first.runs) {
+        winnerId = battingSecond.id;
+        const wicketsLeft = Math.max(1, Math.min(WICKETS_PER_INNINGS, battingSecond.players.length - 1)) - second.wickets;
+        margin = `${battingSecond.name} won by ${wicketsLeft} wicket${wicketsLeft === 1 ? "" : "s"}`;
+    } else if (first.runs > second.runs) {
+        winnerId = battingFirst.id;
+        const diff = first.runs - second.runs;
+        margin = `${battingFirst.name} won by ${diff} run${diff === 1 ? "" : "s"}`;
+    }
+
+    const topScorer = [first.topScorer, second.topScorer]
+        .filter(Boolean)
+        .reduce((best, b) => (!best || b.runs > best.runs) ? b : best, null);
+
+    return {
+        seed: String(seed),
+        teams: [sideA.id, sideB.id],
+        tossWinnerId: tossWinner.id,
+        innings: [first, second],
+        winnerId,
+        tied: winnerId === null,
+        result: margin,
+        topScorer,
+        impactSubs
+    };
+}
+
+// Overs faced for net run rate: an all-out side is charged the full quota
+function nrrBalls(innings) {
+    return innings.allOut ? OVERS_PER_INNINGS * BALLS_PER_OVER : innings.balls;
+}
+
+/**
+ * Builds a points table from finished matches: 2 points a win, 1 a tie,
+ * ordered by points and then net run rate.
+ */
+function computeStandings(sides, matches) {
+    const table = new Map(sides.map(s => [s.id, {
+        teamId: s.id, name: s.name, played: 0, won: 0, lost: 0, tied: 0, points: 0,
+        runsFor: 0, ballsFaced: 0, runsAgainst: 0, ballsBowled: 0, nrr: 0
+    }]));
+
+    matches.forEach(m => {
+        m.innings.forEach((inn, i) => {
+            const opp = m.innings[1 - i];
+            const row = table.get(inn.teamId);
+            if (!row) return;
+            row.runsFor += inn.runs;
+            row.ballsFaced += nrrBalls(inn);
+            row.runsAgainst += opp.runs;
+            row.ballsBowled += nrrBalls(opp);
+        });
+        m.teams.forEach(id => {
+            const row = table.get(id);
+            if (!row) return;
+            row.played++;
+            if (m.tied) {
+                row.tied++;
+                row.points += 1;
+            } else if (m.winnerId === id) {
+                row.won++;
+                row.points += 2;
+            } else {
+                row.lost++;
+            }
+        });
+    });
+
+    const rows = Array.from(table.values());
+    rows.forEach(row => {
+        const forRate = row.ballsFaced ? row.runsFor / (row.ballsFaced / BALLS_PER_OVER) : 0;
+        const againstRate = row.ballsBowled ? row.runsAgainst / (row.ballsBowled / BALLS_PER_OVER) : 0;
+        row.nrr = parseFloat((forRate - againstRate).toFixed(3));
+    });
+    rows.sort((a, b) => (b.points - a.points) || (b.nrr - a.nrr) || (b.won - a.won));
+    return rows;
+}
+
+module.exports = {
+    OVERS_PER_INNINGS,
+    MAX_OVERS_PER_BOWLER,
+    createRng,
+    simulateInnings,
+    simulateMatch,
+    computeStandings,
+    formatOvers
+};
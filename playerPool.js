@@ -0,0 +1,209 @@
+// ==========================
+//  PLAYER POOLS
+// ==========================
+// Parses and validates player lists (bundled files or host uploads) into the
+// player objects the auction uses.
+
+const KNOWN_ROLES = ["Batsman", "Bowler", "All-Rounder", "Wicketkeeper"];
+const KNOWN_COUNTRIES = ["India", "Overseas"];
+const KNOWN_STATUSES = ["Capped", "Uncapped"];
+const REQUIRED_FIELDS = ["name", "role", "bat", "bowl", "field"];
+const STAT_FIELDS = ["bat", "bowl", "field"];
+
+const MAX_POOL_SIZE = 1000;
+const MAX_BASE_PRICE = 50;
+// Stop collecting after this many, a broken file would otherwise flood the client
+const MAX_REPORTED_ERRORS = 50;
+const DEFAULT_PLAYER_IMG = "https://cdn-icons-png.flaticon.com/512/166/166344.png";
+
+function calculateWeightedRating(role, bat, bowl, field) {
+    let rating = 0;
+    const b = parseInt(bat) || 0;
+    const bo = parseInt(bowl) || 0;
+    const f = parseInt(field) || 0;
+
+    if (role === "Batsman") rating = (b * 0.75) + (f * 0.20) + (bo * 0.05);
+    else if (role === "Bowler") rating = (bo * 0.75) + (f * 0.20) + (b * 0.05);
+    else if (role === "All-Rounder") rating = (b * 0.40) + (bo * 0.40) + (f * 0.20);
+    else if (role === "Wicketkeeper") rating = (b * 0.30) + (f * 0.50) + (bo * 0.20);
+    else rating = (b + bo + f) / 3;
+    return Math.round(rating);
+}
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(r => r.some(cell => cell.trim() !== ""));
+    if (!header) return [];
+    const keys = header.map(h => h.trim());
+    return body.map(cells => {
+        const obj = {};
+        keys.forEach((key, i) => { obj[key] = cells[i] !== undefined ? cells[i].trim() : ""; });
+        return obj;
+    });
+}
+
+// Turns uploaded text into raw rows. Returns { rows } or { error }.
+function parsePoolContent(format, content) {
+    if (typeof content !== "string" || !content.trim()) return { error: "The uploaded file is empty" };
+    if (format === "json") {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            return { error: `Invalid JSON: ${e.message}` };
+        }
+        if (!Array.isArray(data)) return { error: "A JSON pool must be an array of players" };
+        return { rows: data };
+    }
+    if (format === "csv") {
+        return { rows: parseCsv(content) };
+    }
+    return { error: "Pools must be uploaded as JSON or CSV" };
+}
+
+// Case-insensitive match against a list of allowed values
+function matchKnown(value, allowed) {
+    const text = String(value).trim().toLowerCase();
+    return allowed.find(a => a.toLowerCase() === text);
+}
+
+// Checks one raw row and builds the player from it. `index` is the 0-based row
+// position, used for generated ids. Returns { player } or { errors: [field, message][] }.
+function validatePlayerRow(raw, index) {
+    const errors = [];
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { errors: [[null, "Row must be an object"]] };
+    }
+    const isBlank = key => raw[key] === undefined || raw[key] === null || String(raw[key]).trim() === "";
+
+    REQUIRED_FIELDS.forEach(key => {
+        if (isBlank(key)) errors.push([key, `Missing required field "${key}"`]);
+    });
+
+    const stats = {};
+    STAT_FIELDS.forEach(key => {
+        if (isBlank(key)) return;
+        const value = Number(raw[key]);
+        if (!Number.isInteger(value) || value < 0 || value > 100) {
+            errors.push([key, `"${key}" must be a whole number from 0 to 100`]);
+        } else {
+            stats[key] = value;
+        }
+    });
+
+    const role = isBlank("role") ? null : matchKnown(raw.role, KNOWN_ROLES);
+    if (!isBlank("role") && !role) {
+        errors.push(["role", `Unknown role "${raw.role}", expected ${KNOWN_ROLES.join(", ")}`]);
+    }
+
+    // Optional fields keep the defaults the bundled pool has always used
+    const country = isBlank("country") ? "India" : matchKnown(raw.country, KNOWN_COUNTRIES);
+    if (!country) errors.push(["country", `Country must be India or Overseas, got "${raw.country}"`]);
+
+    const status = isBlank("status") ? "Uncapped" : matchKnown(raw.status, KNOWN_STATUSES);
+    if (!status) errors.push(["status", `Status must be Capped or Uncapped, got "${raw.status}"`]);
+
+    let basePrice = 0.2;
+    if (!isBlank("basePrice")) {
+        basePrice = Number(raw.basePrice);
+        if (!(basePrice > 0) || basePrice > MAX_BASE_PRICE) {
+            errors.push(["basePrice", `"basePrice" must be above 0 and at most ${MAX_BASE_PRICE}`]);
+        }
+    }
+
+    const name = isBlank("name") ? "" : String(raw.name).trim().slice(0, 50);
+    if (errors.length > 0) return { errors };
+
+    return {
+        player: {
+            id: isBlank("id") ? `player_${index}` : String(raw.id).trim().slice(0, 50),
+            name,
+            role,
+            status,
+            country,
+            bat: stats.bat,
+            bowl: stats.bowl,
+            field: stats.field,
+            rating: calculateWeightedRating(role, stats.bat, stats.bowl, stats.field),
+            basePrice: parseFloat(basePrice.toFixed(2)),
+            img: isBlank("img") ? DEFAULT_PLAYER_IMG : String(raw.img).trim().slice(0, 300)
+        }
+    };
+}
+
+// Validates a whole list. Returns { players, errors } where every error names
+// its 1-based row and, when it applies, the field.
+function validatePlayerRows(rows) {
+    const errors = [];
+    const players = [];
+    const seenIds = new Map();
+    const report = (row, field, message) => {
+        if (errors.length < MAX_REPORTED_ERRORS) errors.push({ row, field, message });
+    };
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return { players, errors: [{ row: null, field: null, message: "The pool has no players" }] };
+    }
+    if (rows.length > MAX_POOL_SIZE) {
+        return { players, errors: [{ row: null, field: null, message: `A pool can have at most ${MAX_POOL_SIZE} players` }] };
+    }
+
+    rows.forEach((raw, index) => {
+        const rowNumber = index + 1;
+        const result = validatePlayerRow(raw, index);
+        if (result.errors) {
+            result.errors.forEach(([field, message]) => report(rowNumber, field, message));
+            return;
+        }
+        const { player } = result;
+        if (seenIds.has(player.id)) {
+            report(rowNumber, "id", `Duplicate id "${player.id}", already used on row ${seenIds.get(player.id)}`);
+            return;
+        }
+        seenIds.set(player.id, rowNumber);
+        players.push(player);
+    });
+
+    return { players, errors };
+}
+
+module.exports = {
+    KNOWN_ROLES,
+    MAX_POOL_SIZE,
+    calculateWeightedRating,
+    parseCsv,
+    parsePoolContent,
+    validatePlayerRow,
+    validatePlayerRows
+};
@@ -7,6 +7,11 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const { simulateMatch, computeStandings, createRng } = require("./matchEngine");
+const { createStorage } = require("./storage");
+const { SCHEMA_VERSION, migrateRoom } = require("./storage/migrations");
+const { KNOWN_ROLES, parsePoolContent, validatePlayerRow, validatePlayerRows } = require("./playerPool");
 
 const app = express();
 const server = http.createServer(app);
@@ -14,48 +19,292 @@ const io = new Server(server, { cors: { origin: "*" } });
 
 app.use(express.static(path.join(__dirname, "public")));
 
+// --- RULES ---
+// Defaults for a new room. The host can override any of these per room,
+// the live values always come from room.config.
+const MAX_SQUAD_SIZE = 25;       
+const MIN_SQUAD_TO_PLAY = 18;    
+const PLAYING_11_SIZE = 11;      
+const MAX_OVERSEAS_SQUAD = 8;
+const MAX_OVERSEAS_P11 = 4;
+// Playing XI composition. Bowling options are Bowlers and All-Rounders.
+const MIN_WICKETKEEPERS_P11 = 1;
+const MIN_BOWLING_OPTIONS_P11 = 5;
+const MAX_BATSMEN_P11 = 5;
+// Ranked substitutes named with the XI, the impact player is picked from them
+const BENCH_SIZE = 4;
+const BID_TIMER_SECONDS = 10;
+const DEFAULT_PURSE = 100;
+
+// IPL-style increments: a slab applies while the current bid is below `upTo`,
+// the last slab is open-ended (upTo: null)
+const DEFAULT_BID_SLABS = [
+    { upTo: 1, increment: 0.05 },
+    { upTo: 2, increment: 0.1 },
+    { upTo: 5, increment: 0.2 },
+    { upTo: null, increment: 0.25 }
+];
+const MAX_BID_SLABS = 10;
+
+// Accelerated round: unsold players come back once the main pool runs out
+const ACCELERATED_TIMER_SECONDS = 5;
+const ACCELERATED_PRICE_FACTOR = 0.5;
+const NOMINATION_WINDOW_SECONDS = 20;
+
+// Multi-season play: retained players cost a fixed share of the starting purse,
+// the first retention the most. The number of slabs caps maxRetentions.
+const RETENTION_SLABS = [0.15, 0.11, 0.07, 0.04];
+const DEFAULT_MAX_RETENTIONS = 3;
+const DEFAULT_RTM_CARDS = 1;
+const RTM_WINDOW_SECONDS = 10;
+// Bots keep players at least this good
+const BOT_RETAIN_MIN_RATING = 85;
+
+// Trade window between the auction and XI selection
+const MAX_OPEN_TRADES_PER_TEAM = 10;
+const MAX_TRADE_WINDOW_SECONDS = 600;
+// How much rating a bot gives up for one crore in a trade
+const BOT_TRADE_RATING_PER_CRORE = 2;
+
+// Auction sets: the best capped players open the auction as marquee sets,
+// the rest follow grouped by status and role
+const MARQUEE_PLAYER_COUNT = 12;
+const MARQUEE_SET_SIZE = 6;
+const ROLE_SET_SIZE = 8;
+const SET_ROLE_ORDER = ["Batsman", "All-Rounder", "Wicketkeeper", "Bowler"];
+const SET_ROLE_LABELS = {
+    "Batsman": "Batters",
+    "All-Rounder": "All-Rounders",
+    "Wicketkeeper": "Wicketkeepers",
+    "Bowler": "Bowlers"
+};
+
+const DEFAULT_RULES = {
+    startingPurse: DEFAULT_PURSE,
+    maxSquadSize: MAX_SQUAD_SIZE,
+    minSquadToPlay: MIN_SQUAD_TO_PLAY,
+    maxOverseasSquad: MAX_OVERSEAS_SQUAD,
+    maxOverseasP11: MAX_OVERSEAS_P11,
+    minWicketkeepers: MIN_WICKETKEEPERS_P11,
+    minBowlingOptions: MIN_BOWLING_OPTIONS_P11,
+    maxBatsmen: MAX_BATSMEN_P11,
+    bidSlabs: DEFAULT_BID_SLABS,
+    bidTimer: BID_TIMER_SECONDS,
+    acceleratedRound: true,
+    acceleratedPriceFactor: ACCELERATED_PRICE_FACTOR,
+    acceleratedTimer: ACCELERATED_TIMER_SECONDS,
+    nominationWindow: NOMINATION_WINDOW_SECONDS,
+    // "open" is the ascending auction, "sealed" takes one hidden bid per team per lot,
+    // "draft" skips the money and has teams pick in snake order (bidTimer is the pick clock)
+    auctionFormat: "open",
+    // Sealed lots: the winner pays their own bid ("first") or the runner-up's ("second")
+    sealedPricing: "second",
+    maxRetentions: DEFAULT_MAX_RETENTIONS,
+    rtmCards: DEFAULT_RTM_CARDS,
+    rtmWindow: RTM_WINDOW_SECONDS,
+    // Seconds teams get to trade once the auction ends, 0 goes straight to selection
+    tradeWindow: 0
+};
+
+// Allowed range for every host-editable rule
+const RULE_LIMITS = {
+    startingPurse:    { min: 50,   max: 500 },
+    maxSquadSize:     { min: PLAYING_11_SIZE, max: 40, integer: true },
+    minSquadToPlay:   { min: PLAYING_11_SIZE, max: 40, integer: true },
+    maxOverseasSquad: { min: 0,    max: 40, integer: true },
+    maxOverseasP11:   { min: 0,    max: PLAYING_11_SIZE, integer: true },
+    minWicketkeepers: { min: 0,    max: PLAYING_11_SIZE, integer: true },
+    minBowlingOptions: { min: 0,   max: PLAYING_11_SIZE, integer: true },
+    maxBatsmen:       { min: 0,    max: PLAYING_11_SIZE, integer: true },
+    bidTimer:         { min: 5,    max: 60, integer: true },
+    acceleratedPriceFactor: { min: 0.1, max: 1 },
+    acceleratedTimer: { min: 3,    max: 60, integer: true },
+    // 0 skips nominations and brings every unsold player back
+    nominationWindow: { min: 0,    max: 120, integer: true },
+    maxRetentions:    { min: 0,    max: RETENTION_SLABS.length, integer: true },
+    rtmCards:         { min: 0,    max: 5,   integer: true },
+    rtmWindow:        { min: 5,    max: 30,  integer: true },
+    tradeWindow:      { min: 0,    max: MAX_TRADE_WINDOW_SECONDS, integer: true }
+};
+const BOOLEAN_RULES = ["acceleratedRound"];
+const CHOICE_RULES = {
+    auctionFormat: ["open", "sealed", "draft"],
+    sealedPricing: ["second", "first"]
+};
+
+// --- PLAYER POOLS ---
+// Bundled pools the host can pick from, `filter` narrows a shared file
+const BUNDLED_POOLS = {
+    ipl:      { label: "IPL (full pool)", file: "players.json" },
+    domestic: { label: "Domestic (Indian players only)", file: "players.json", filter: p => p.country === "India" },
+    womens:   { label: "Women's Premier League", file: "pools/womens.json" },
+    legends:  { label: "All-Time Legends", file: "pools/legends.json" }
+};
+const DEFAULT_POOL_ID = "ipl";
+const MAX_POOL_UPLOAD_BYTES = 512 * 1024;
+
+// Moderation entries kept per room, oldest dropped first
+const HOST_LOG_LIMIT = 100;
+
+// Auto-bid ceilings one team can have queued at once
+const MAX_PROXY_BIDS_PER_TEAM = 30;
+
+// --- ROOM ACCESS ---
+const ROOM_CODE_LENGTH = 6;
+// No 0/O or 1/I, codes get read out loud
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const MIN_TEAMS_PER_ROOM = 2;
+const MAX_TEAMS_PER_ROOM = 20;
+const DEFAULT_MAX_TEAMS = 10;
+const MAX_PASSWORD_LENGTH = 64;
+// Wrong passwords allowed per client address in each window before further tries are refused
+const PASSWORD_ATTEMPT_LIMIT = 5;
+const PASSWORD_ATTEMPT_WINDOW_MS = 60 * 1000;
+
+// --- MATCHES ---
+// Form bonus (added to bat and bowl) for the leadership group in simulated matches
+const CAPTAIN_FORM_BONUS = 4;
+const VICE_CAPTAIN_FORM_BONUS = 2;
+
+// Rooms in this range play a league with playoffs after selection,
+// anything else gets a single round robin decided on the spot
+const LEAGUE_MIN_TEAMS = 4;
+const LEAGUE_MAX_TEAMS = 10;
+const FIXTURE_INTERVAL_MS = 3000;
+
+// --- BOTS ---
+const MAX_BOTS_PER_ROOM = 9;
+const BOT_TEAM_NAMES = [
+    "Coastal Cyclones", "Desert Falcons", "Highland Hawks", "Metro Mavericks",
+    "River Rhinos", "Northern Knights", "Island Titans", "Valley Vipers", "Harbour Lions"
+];
+// noise: how far a bot's valuation can stray from a player's true worth
+// rolePlanning: whether the bot weighs what its squad is missing
+// thinkMs: reaction time range before acting on a lot
+const BOT_DIFFICULTIES = {
+    easy:   { noise: 0.35, rolePlanning: false, thinkMs: [2000, 4000] },
+    medium: { noise: 0.15, rolePlanning: true,  thinkMs: [1200, 3000] },
+    hard:   { noise: 0.05, rolePlanning: true,  thinkMs: [700, 2000] }
+};
+// spend: multiplier on valuation, squadExtra: players bought beyond the minimum squad
+const BOT_PERSONALITIES = {
+    aggressive: { label: "Aggressive Spender", spend: 1.35, squadExtra: 5 },
+    balanced:   { label: "Balanced",           spend: 1.0,  squadExtra: 3 },
+    value:      { label: "Value Hunter",       spend: 0.7,  squadExtra: 2 }
+};
+// Squad shape the role-planning bots aim for
+const BOT_ROLE_TARGETS = { Batsman: 6, Bowler: 6, "All-Rounder": 4, Wicketkeeper: 2 };
+
+// --- AUCTION REPORT ---
+// The auction report measures squads against the same shape the bots build
+const IDEAL_SQUAD_TEMPLATE = BOT_ROLE_TARGETS;
+// Buys listed under best value / most overpaid, per team and for the room
+const REPORT_TOP_BUYS = 3;
+const REPORT_PHASES = ["TRADE", "SELECTION", "TOURNAMENT", "RESULT"];
+
+// --- PROFILES ---
+const DEFAULT_ELO = 1000;
+const ELO_K_FACTOR = 32;
+const LEADERBOARD_SIZE = 50;
+const MAX_DISPLAY_NAME_LENGTH = 30;
+
 // --- DATA PERSISTENCE ---
-const DATA_FILE = "rooms_data.json";
+// Rooms live in a pluggable store (see storage/), one record per room
+const storage = createStorage();
+// The single-file dump older versions wrote, imported once and then set aside
+const LEGACY_DATA_FILE = "rooms_data.json";
+
 let rooms = {};
+// Player profiles by user id, they outlive rooms (see PROFILES)
+let profiles = {};
 let saveScheduled = false;
+// Rooms changed (or deleted) and profiles changed since the last write
+const dirtyRooms = new Set();
+const dirtyProfiles = new Set();
+
+function readLegacyRooms() {
+    if (!fs.existsSync(LEGACY_DATA_FILE)) return [];
+    const loadedRooms = JSON.parse(fs.readFileSync(LEGACY_DATA_FILE, "utf-8"));
+    return Object.keys(loadedRooms).map(roomId => ({ roomId, schemaVersion: 1, room: loadedRooms[roomId] }));
+}
 
 // Load data on startup
 function loadGameData() {
     try {
-        if (fs.existsSync(DATA_FILE)) {
-            const data = fs.readFileSync(DATA_FILE, "utf-8");
-            const loadedRooms = JSON.parse(data);
+        const records = storage.loadAll();
+        const legacy = readLegacyRooms();
+        const known = new Set(records.map(r => r.roomId));
+        legacy.forEach(r => {
+            if (!known.has(r.roomId)) records.push(r);
+        });
+        
+        // Reconstruct rooms with proper Set objects
+        records.forEach(({ roomId, schemaVersion, room }) => {
+            room = migrateRoom(room, schemaVersion);
             
-            // Reconstruct rooms with proper Set objects
-            Object.keys(loadedRooms).forEach(roomId => {
-                const room = loadedRooms[roomId];
-                
-                // Convert skippedBy array back to Set
-                if (room.auction && Array.isArray(room.auction.skippedBy)) {
-                    room.auction.skippedBy = new Set(room.auction.skippedBy);
-                } else if (room.auction) {
-                    room.auction.skippedBy = new Set();
-                }
-                
-                // Initialize missing properties
-                if (room.auction) {
-                    room.auction.timer = null;
-                }
-                room.nextPlayerTimeout = null;
-                
-                rooms[roomId] = room;
-            });
+            // Convert skippedBy array back to Set
+            if (room.auction && Array.isArray(room.auction.skippedBy)) {
+                room.auction.skippedBy = new Set(room.auction.skippedBy);
+            } else if (room.auction) {
+                room.auction.skippedBy = new Set();
+            }
             
-            console.log("Game state loaded from file.");
+            // Rooms saved before per-room rules existed only stored the purse
+            room.config = { ...DEFAULT_RULES, ...(room.config || {}) };
             
-            // Clean up old rooms (older than 24 hours)
-            const now = Date.now();
-            Object.keys(rooms).forEach(roomId => {
-                if (rooms[roomId].lastActivity && (now - rooms[roomId].lastActivity) > 86400000) {
-                    delete rooms[roomId];
-                    console.log(`Cleaned up old room: ${roomId}`);
-                }
-            });
+            // Initialize missing properties
+            if (room.auction) {
+                room.auction.timer = null;
+                room.auction.round = room.auction.round || "MAIN";
+                room.auction.unsoldPlayers = room.auction.unsoldPlayers || [];
+                room.auction.nominations = room.auction.nominations || {};
+                room.auction.paused = !!room.auction.paused;
+                room.auction.lastSale = room.auction.lastSale || null;
+                room.auction.proxyBids = room.auction.proxyBids || {};
+                room.auction.sealedBids = room.auction.sealedBids || {};
+                room.auction.sealedSeq = room.auction.sealedSeq || 0;
+                room.auction.draft = room.auction.draft || null;
+                room.auction.rtm = room.auction.rtm || null;
+                room.auction.trades = room.auction.trades || null;
+            }
+            room.season = room.season || 1;
+            room.seasonHistory = room.seasonHistory || [];
+            room.hostLog = room.hostLog || [];
+            room.eventLog = room.eventLog || [];
+            room.spectators = room.spectators || {};
+            // Rooms from before access settings were open to anyone with the code
+            room.access = room.access || { ...getDefaultAccess(), visibility: "private", maxTeams: MAX_TEAMS_PER_ROOM, allowLateEntry: true };
+            room.pool = room.pool || { id: DEFAULT_POOL_ID, name: BUNDLED_POOLS[DEFAULT_POOL_ID].label };
+            room.nextPlayerTimeout = null;
+            room.botTimeout = null;
+            room.rtmTimeout = null;
+            room.tradeTimeout = null;
+            room.botTradeTimeouts = {};
+            room.matchSeed = room.matchSeed || roomId;
+            
+            rooms[roomId] = room;
+            // Anything loaded at an older version is rewritten in the current one
+            if (schemaVersion !== SCHEMA_VERSION) dirtyRooms.add(roomId);
+        });
+        
+        console.log(`Game state loaded from ${storage.name} storage (${records.length} rooms).`);
+        
+        // Clean up old rooms (older than 24 hours)
+        const now = Date.now();
+        Object.keys(rooms).forEach(roomId => {
+            if (rooms[roomId].lastActivity && (now - rooms[roomId].lastActivity) > 86400000) {
+                delete rooms[roomId];
+                dirtyRooms.add(roomId);
+                console.log(`Cleaned up old room: ${roomId}`);
+            }
+        });
+        
+        if (legacy.length > 0) {
+            writeGameData();
+            fs.renameSync(LEGACY_DATA_FILE, `${LEGACY_DATA_FILE}.migrated`);
+            console.log(`Migrated ${legacy.length} rooms from ${LEGACY_DATA_FILE}.`);
+        } else if (dirtyRooms.size > 0) {
+            saveGameData();
         }
     } catch (e) {
         console.error("Failed to load game data", e);
@@ -64,47 +313,97 @@ function loadGameData() {
 }
 loadGameData();
 
-// Debounced save to prevent excessive file I/O
-function saveGameData() {
+function loadProfiles() {
+    try {
+        storage.loadProfiles().forEach(({ userId, profile }) => {
+            profiles[userId] = profile;
+        });
+        console.log(`Loaded ${Object.keys(profiles).length} player profiles.`);
+    } catch (e) {
+        console.error("Failed to load player profiles", e);
+        profiles = {};
+    }
+}
+loadProfiles();
+
+// Debounced save to prevent excessive I/O. Pass the room that changed,
+// only rooms marked since the last write are persisted.
+function saveGameData(roomId) {
+    if (roomId) dirtyRooms.add(roomId);
     if (saveScheduled) return;
-    saveScheduled = true;
+    saveScheduled = setTimeout(writeGameData, 1000); // Debounce by 1 second
+}
+
+function serializeRoom(room) {
+    // Create a clean copy without circular references
+    return {
+        hostId: room.hostId,
+        config: room.config,
+        pool: room.pool,
+        teams: room.teams,
+        eventLog: room.eventLog,
+        spectators: room.spectators,
+        access: room.access,
+        auction: {
+            playerPool: room.auction.playerPool,
+            currentPlayerIndex: room.auction.currentPlayerIndex,
+            currentBid: room.auction.currentBid,
+            currentBidderId: room.auction.currentBidderId,
+            biddingOpen: room.auction.biddingOpen,
+            phase: room.auction.phase,
+            skippedBy: Array.from(room.auction.skippedBy || []), // Convert Set to Array
+            timeLeft: room.auction.timeLeft,
+            round: room.auction.round,
+            unsoldPlayers: room.auction.unsoldPlayers,
+            nominations: room.auction.nominations,
+            nominationEndsAt: room.auction.nominationEndsAt,
+            paused: room.auction.paused,
+            lastSale: room.auction.lastSale,
+            proxyBids: room.auction.proxyBids,
+            sealedBids: room.auction.sealedBids,
+            sealedSeq: room.auction.sealedSeq,
+            draft: room.auction.draft,
+            rtm: room.auction.rtm,
+            trades: room.auction.trades
+            // Explicitly exclude timer and other non-serializable objects
+        },
+        matchSeed: room.matchSeed,
+        tournament: room.tournament,
+        results: room.results,
+        hostLog: room.hostLog,
+        season: room.season,
+        seasonHistory: room.seasonHistory,
+        lastActivity: room.lastActivity
+        // Explicitly exclude nextPlayerTimeout
+    };
+}
+
+// Writes the dirty rooms and profiles right away, used by the debounced save and on shutdown
+function writeGameData() {
+    if (saveScheduled) clearTimeout(saveScheduled);
+    saveScheduled = false;
     
-    setTimeout(() => {
+    dirtyRooms.forEach(roomId => {
         try {
-            const dataToSave = {};
-            Object.keys(rooms).forEach(roomId => {
-                const room = rooms[roomId];
-                
-                // Create a clean copy without circular references
-                const cleanRoom = {
-                    hostId: room.hostId,
-                    config: room.config,
-                    teams: room.teams,
-                    auction: {
-                        playerPool: room.auction.playerPool,
-                        currentPlayerIndex: room.auction.currentPlayerIndex,
-                        currentBid: room.auction.currentBid,
-                        currentBidderId: room.auction.currentBidderId,
-                        biddingOpen: room.auction.biddingOpen,
-                        phase: room.auction.phase,
-                        skippedBy: Array.from(room.auction.skippedBy || []), // Convert Set to Array
-                        timeLeft: room.auction.timeLeft
-                        // Explicitly exclude timer and other non-serializable objects
-                    },
-                    lastActivity: room.lastActivity
-                    // Explicitly exclude nextPlayerTimeout
-                };
-                
-                dataToSave[roomId] = cleanRoom;
-            });
-            
-            fs.writeFileSync(DATA_FILE, JSON.stringify(dataToSave, null, 2));
-            saveScheduled = false;
+            if (rooms[roomId]) {
+                storage.saveRoom(roomId, SCHEMA_VERSION, serializeRoom(rooms[roomId]));
+            } else {
+                storage.deleteRoom(roomId);
+            }
+            dirtyRooms.delete(roomId);
+        } catch (e) {
+            // Stays dirty and is retried with the next write
+            console.error("Failed to save room", roomId, e);
+        }
+    });
+    dirtyProfiles.forEach(userId => {
+        try {
+            storage.saveProfile(userId, profiles[userId]);
+            dirtyProfiles.delete(userId);
         } catch (e) {
-            console.error("Failed to save game data", e);
-            saveScheduled = false;
+            console.error("Failed to save profile", userId, e);
         }
-    }, 1000); // Debounce by 1 second
+    });
 }
 
 // Maps active socket IDs to User IDs
@@ -112,13 +411,274 @@ const socketToUserMap = {};
 // Track active sockets per user
 const userToSocketMap = {};
 
-// --- RULES ---
-const MAX_SQUAD_SIZE = 25;       
-const MIN_SQUAD_TO_PLAY = 18;    
-const PLAYING_11_SIZE = 11;      
-const MAX_OVERSEAS_SQUAD = 8;
-const MAX_OVERSEAS_P11 = 4;
-const BID_INCREMENT = 0.25;
+// --- SESSIONS ---
+// The server picks every user id and hands the client a token signed with this
+// secret. Handlers act for the id bound to the socket, never for payload ids.
+const SESSION_SECRET_FILE = ".session_secret";
+const SESSION_SECRET = loadSessionSecret();
+
+// SESSION_SECRET from the environment wins, otherwise a generated secret is kept
+// on disk so tokens stay valid across restarts along with the rooms
+function loadSessionSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    try {
+        if (fs.existsSync(SESSION_SECRET_FILE)) {
+            const stored = fs.readFileSync(SESSION_SECRET_FILE, "utf-8").trim();
+            if (stored) return stored;
+        }
+        const secret = crypto.randomBytes(32).toString("hex");
+        fs.writeFileSync(SESSION_SECRET_FILE, secret, { mode: 0o600 });
+        return secret;
+    } catch (e) {
+        console.error("Could not persist session secret, sessions end on restart", e.message);
+        return crypto.randomBytes(32).toString("hex");
+    }
+}
+
+function signUserId(userId) {
+    return crypto.createHmac("sha256", SESSION_SECRET).update(userId).digest("base64url");
+}
+
+function issueSessionToken(userId) {
+    return `${userId}.${signUserId(userId)}`;
+}
+
+// Returns the user id the token was issued for, or null if it was tampered with
+function verifySessionToken(token) {
+    if (typeof token !== "string" || token.length > 200) return null;
+    const dot = token.lastIndexOf(".");
+    if (dot <= 0) return null;
+    const userId = token.slice(0, dot);
+    const given = Buffer.from(token.slice(dot + 1));
+    const expected = Buffer.from(signUserId(userId));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    return userId;
+}
+
+function bindSocketToUser(socket, userId) {
+    // Clean up old socket for this user
+    if (userToSocketMap[userId] && userToSocketMap[userId] !== socket.id) {
+        delete socketToUserMap[userToSocketMap[userId]];
+    }
+    socketToUserMap[socket.id] = userId;
+    userToSocketMap[userId] = socket.id;
+}
+
+// Keeps the identity of a returning client, anyone else gets a fresh one
+function resolveSessionUser(socket, token) {
+    return socketToUserMap[socket.id] || verifySessionToken(token) || crypto.randomUUID();
+}
+
+// --- PROFILES ---
+// Cross-game standings keyed to the session user id. A profile starts the
+// first time its user finishes a room (or picks a display name) and takes in
+// every result after that, from any room.
+function getOrCreateProfile(userId, displayName) {
+    if (!profiles[userId]) {
+        profiles[userId] = {
+            userId,
+            displayName,
+            gamesPlayed: 0,
+            wins: 0,
+            rankTotal: 0,
+            totalSpent: 0,
+            ratingBought: 0,
+            rating: DEFAULT_ELO,
+            createdAt: Date.now(),
+            lastPlayedAt: null
+        };
+    }
+    return profiles[userId];
+}
+
+function saveProfile(userId) {
+    dirtyProfiles.add(userId);
+    saveGameData();
+}
+
+// Averages come from the running totals. Spend efficiency is player rating
+// bought per crore spent; drafted players cost nothing and are left out.
+function publicProfile(profile) {
+    const { userId, displayName, gamesPlayed, wins, rating, lastPlayedAt } = profile;
+    return {
+        userId,
+        displayName,
+        gamesPlayed,
+        wins,
+        averageRank: gamesPlayed > 0 ? roundTo2(profile.rankTotal / gamesPlayed) : null,
+        spendEfficiency: profile.totalSpent > 0 ? roundTo2(profile.ratingBought / profile.totalSpent) : null,
+        rating,
+        lastPlayedAt
+    };
+}
+
+function getLeaderboard() {
+    return Object.values(profiles)
+        .filter(p => p.gamesPlayed > 0)
+        .sort((a, b) => (b.rating - a.rating) || (b.wins - a.wins) || (a.rankTotal / a.gamesPlayed - b.rankTotal / b.gamesPlayed))
+        .slice(0, LEADERBOARD_SIZE)
+        .map(publicProfile);
+}
+
+// Multiplayer Elo: each finisher plays a virtual game against every other
+// and wins it by ranking higher. Eliminated teams share last place. Bots count
+// as opponents at DEFAULT_ELO but have no profile of their own.
+function recordProfileResults(roomId) {
+    const room = rooms[roomId];
+    if (!room.results || room.results.profilesRecorded) return;
+    room.results.profilesRecorded = true;
+
+    const ranked = getRankedTeams(room);
+    const eliminated = Object.values(room.teams).filter(t => t.isEliminated);
+    const finishers = [...ranked, ...eliminated].map((team, i) => ({
+        team,
+        rank: Math.min(i, ranked.length) + 1,
+        rating: team.isBot ? DEFAULT_ELO : getOrCreateProfile(team.id, team.name).rating
+    }));
+    const now = Date.now();
+
+    finishers.forEach(me => {
+        if (me.team.isBot) return;
+        let delta = 0;
+        finishers.forEach(other => {
+            if (other === me) return;
+            const expected = 1 / (1 + Math.pow(10, (other.rating - me.rating) / 400));
+            const score = me.rank < other.rank ? 1 : me.rank === other.rank ? 0.5 : 0;
+            delta += score - expected;
+        });
+        const ratingChange = finishers.length > 1 ? Math.round(ELO_K_FACTOR * delta / (finishers.length - 1)) : 0;
+
+        const buys = getPricedBuys(me.team.squad);
+        const profile = getOrCreateProfile(me.team.id, me.team.name);
+        profile.gamesPlayed++;
+        if (me.rank === 1) profile.wins++;
+        profile.rankTotal += me.rank;
+        profile.totalSpent = roundTo2(profile.totalSpent + sumSpend(buys));
+        profile.ratingBought += buys.reduce((sum, p) => sum + p.rating, 0);
+        profile.rating += ratingChange;
+        profile.lastPlayedAt = now;
+        saveProfile(me.team.id);
+
+        const socketId = userToSocketMap[me.team.id];
+        if (socketId) io.to(socketId).emit("profile-updated", { profile: publicProfile(profile), ratingChange, rank: me.rank });
+    });
+}
+
+// --- ROOM ACCESS ---
+// Public rooms are listed while in the lobby, private ones only open by code.
+// Either kind can carry a password, which members don't need to repeat.
+function generateRoomCode() {
+    let code;
+    do {
+        code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]).join("");
+    } while (rooms[code]);
+    return code;
+}
+
+function hashRoomPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    return { passwordSalt: salt, passwordHash: crypto.scryptSync(password, salt, 32).toString("hex") };
+}
+
+// Password tries per client address: { count, resetAt }
+const passwordAttempts = new Map();
+
+function isPasswordThrottled(clientKey) {
+    const entry = passwordAttempts.get(clientKey);
+    return !!entry && entry.resetAt > Date.now() && entry.count >= PASSWORD_ATTEMPT_LIMIT;
+}
+
+// Resolves to true when the password matches. The hash runs on the thread pool
+// so guesses can't stall the auction timers. Every try counts against the
+// client until it comes back right, including ones still being checked.
+async function checkRoomPassword(room, password, clientKey) {
+    const { passwordHash, passwordSalt } = room.access;
+    if (!passwordHash) return true;
+    if (typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH) return false;
+
+    const now = Date.now();
+    let entry = passwordAttempts.get(clientKey);
+    if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + PASSWORD_ATTEMPT_WINDOW_MS };
+        passwordAttempts.set(clientKey, entry);
+    }
+    if (entry.count >= PASSWORD_ATTEMPT_LIMIT) return false;
+    entry.count++;
+
+    const attempt = await new Promise((resolve, reject) => {
+        crypto.scrypt(password, passwordSalt, 32, (err, key) => err ? reject(err) : resolve(key));
+    });
+    const matches = crypto.timingSafeEqual(attempt, Buffer.from(passwordHash, "hex"));
+    if (matches) entry.count--;
+    return matches;
+}
+
+function isRoomMember(room, userId) {
+    return !!userId && (!!room.teams[userId] || !!room.spectators[userId]);
+}
+
+// Validates host-supplied access settings on top of `base`. A password of ""
+// removes it, leaving it out keeps the current one. Returns { access } or { error }.
+function validateAccess(input, base, teamCount = 0) {
+    const source = (input && typeof input === "object") ? input : {};
+    const access = { ...base };
+
+    if (source.visibility !== undefined) {
+        if (!["public", "private"].includes(source.visibility)) return { error: "Visibility must be public or private" };
+        access.visibility = source.visibility;
+    }
+    if (source.maxTeams !== undefined) {
+        const maxTeams = Number(source.maxTeams);
+        if (!Number.isInteger(maxTeams) || maxTeams < MIN_TEAMS_PER_ROOM || maxTeams > MAX_TEAMS_PER_ROOM) {
+            return { error: `Max teams must be between ${MIN_TEAMS_PER_ROOM} and ${MAX_TEAMS_PER_ROOM}` };
+        }
+        if (maxTeams < teamCount) return { error: `The room already has ${teamCount} teams` };
+        access.maxTeams = maxTeams;
+    }
+    if (source.allowLateEntry !== undefined) {
+        access.allowLateEntry = !!source.allowLateEntry;
+    }
+    if (source.password !== undefined) {
+        if (typeof source.password !== "string" || source.password.length > MAX_PASSWORD_LENGTH) {
+            return { error: `Passwords can be at most ${MAX_PASSWORD_LENGTH} characters` };
+        }
+        Object.assign(access, source.password ? hashRoomPassword(source.password) : { passwordHash: null, passwordSalt: null });
+    }
+    return { access };
+}
+
+function getDefaultAccess() {
+    return { visibility: "public", maxTeams: DEFAULT_MAX_TEAMS, allowLateEntry: false, passwordHash: null, passwordSalt: null };
+}
+
+// What clients may see, never the hash
+function getAccessSummary(room) {
+    const { visibility, maxTeams, allowLateEntry, passwordHash } = room.access;
+    return { visibility, maxTeams, allowLateEntry, hasPassword: !!passwordHash };
+}
+
+// Reason a new team can't join right now, or null
+function getTeamEntryBlock(room) {
+    if (Object.keys(room.teams).length >= room.access.maxTeams) return "This room is full";
+    if (room.auction.phase === "LOBBY") return null;
+    if (room.auction.phase === "DRAFT") return "The draft has already started, you can still join as a spectator";
+    if (room.auction.phase !== "AUCTION") return "The auction is over, you can still join as a spectator";
+    if (!room.access.allowLateEntry) return "The auction has already started, you can still join as a spectator";
+    return null;
+}
+
+function listPublicRooms() {
+    return Object.entries(rooms)
+        .filter(([, room]) => room.access.visibility === "public" && room.auction.phase === "LOBBY")
+        .map(([roomId, room]) => ({
+            roomId,
+            hostName: room.teams[room.hostId] ? room.teams[room.hostId].name : "",
+            teamCount: Object.keys(room.teams).length,
+            maxTeams: room.access.maxTeams,
+            hasPassword: !!room.access.passwordHash,
+            pool: room.pool ? room.pool.name : null
+        }));
+}
 
 // --- UTILS ---
 function sanitizeInput(str, maxLength = 50) {
@@ -126,42 +686,186 @@ function sanitizeInput(str, maxLength = 50) {
     return str.trim().slice(0, maxLength).replace(/[<>]/g, '');
 }
 
-function calculateWeightedRating(role, bat, bowl, field) {
-    let rating = 0;
-    const b = parseInt(bat) || 0;
-    const bo = parseInt(bowl) || 0;
-    const f = parseInt(field) || 0;
+// Validates a host-supplied rules object. Missing fields fall back to `base`.
+// Returns { rules } on success or { error } with a message for the client.
+function validateRules(input, base = DEFAULT_RULES) {
+    const source = (input && typeof input === 'object') ? input : {};
+    const rules = { ...base };
+
+    for (const [key, limit] of Object.entries(RULE_LIMITS)) {
+        if (source[key] === undefined || source[key] === null || source[key] === '') continue;
+        const value = Number(source[key]);
+        if (!Number.isFinite(value)) return { error: `${key} must be a number` };
+        if (limit.integer && !Number.isInteger(value)) return { error: `${key} must be a whole number` };
+        if (value < limit.min || value > limit.max) {
+            return { error: `${key} must be between ${limit.min} and ${limit.max}` };
+        }
+        rules[key] = limit.integer ? value : parseFloat(value.toFixed(2));
+    }
+    for (const key of BOOLEAN_RULES) {
+        if (source[key] === undefined || source[key] === null) continue;
+        rules[key] = source[key] === true || source[key] === "true";
+    }
+    for (const [key, choices] of Object.entries(CHOICE_RULES)) {
+        if (source[key] === undefined || source[key] === null || source[key] === '') continue;
+        if (!choices.includes(source[key])) return { error: `${key} must be one of: ${choices.join(", ")}` };
+        rules[key] = source[key];
+    }
+
+    if (rules.minSquadToPlay > rules.maxSquadSize) {
+        return { error: "Minimum squad size cannot exceed the maximum squad size" };
+    }
+    if (rules.maxOverseasSquad > rules.maxSquadSize) {
+        return { error: "Overseas limit cannot exceed the maximum squad size" };
+    }
+    if (rules.maxOverseasP11 > rules.maxOverseasSquad) {
+        return { error: "Playing 11 overseas limit cannot exceed the squad overseas limit" };
+    }
+    if (rules.minWicketkeepers + rules.minBowlingOptions > PLAYING_11_SIZE) {
+        return { error: `Wicketkeepers and bowling options required cannot add up to more than ${PLAYING_11_SIZE}` };
+    }
+    if (source.bidSlabs !== undefined) {
+        const { slabs, error } = validateBidSlabs(source.bidSlabs);
+        if (error) return { error };
+        rules.bidSlabs = slabs;
+    }
+    if (getMinimumIncrement(rules.bidSlabs) > rules.startingPurse) {
+        return { error: "Bid increment cannot exceed the starting purse" };
+    }
+    return { rules };
+}
+
+function validateBidSlabs(input) {
+    if (!Array.isArray(input) || input.length === 0 || input.length > MAX_BID_SLABS) {
+        return { error: `Bid slabs must be a list of 1 to ${MAX_BID_SLABS} entries` };
+    }
+
+    const slabs = [];
+    for (let i = 0; i < input.length; i++) {
+        const raw = input[i] || {};
+        const isLast = i === input.length - 1;
+        const increment = Number(raw.increment);
+        if (!Number.isFinite(increment) || increment < 0.01 || increment > 5) {
+            return { error: `Slab ${i + 1}: increment must be between 0.01 and 5` };
+        }
+
+        let upTo = null;
+        if (!isLast) {
+            upTo = Number(raw.upTo);
+            if (!Number.isFinite(upTo) || upTo <= 0) {
+                return { error: `Slab ${i + 1}: upper limit must be a positive number` };
+            }
+            if (slabs.length > 0 && upTo <= slabs[slabs.length - 1].upTo) {
+                return { error: `Slab ${i + 1}: upper limits must increase` };
+            }
+            upTo = parseFloat(upTo.toFixed(2));
+        }
+        slabs.push({ upTo, increment: parseFloat(increment.toFixed(2)) });
+    }
+    return { slabs };
+}
+
+// Increment that applies on top of `amount`
+function getBidIncrement(amount, slabs) {
+    const slab = slabs.find(s => s.upTo === null || amount < s.upTo);
+    return (slab || slabs[slabs.length - 1]).increment;
+}
+
+function getMinimumIncrement(slabs) {
+    return Math.min(...slabs.map(s => s.increment));
+}
+
+// The lowest bid the server will accept for the current lot. The opening bid
+// is the base price, every later bid has to clear the current slab.
+function getNextBid(room) {
+    const auction = room.auction;
+    if (!auction.currentBidderId) return auction.currentBid;
+    return parseFloat((auction.currentBid + getBidIncrement(auction.currentBid, room.config.bidSlabs)).toFixed(2));
+}
 
-    if (role === "Batsman") rating = (b * 0.75) + (f * 0.20) + (bo * 0.05);
-    else if (role === "Bowler") rating = (bo * 0.75) + (f * 0.20) + (b * 0.05);
-    else if (role === "All-Rounder") rating = (b * 0.40) + (bo * 0.40) + (f * 0.20);
-    else if (role === "Wicketkeeper") rating = (b * 0.30) + (f * 0.50) + (bo * 0.20);
-    else rating = (b + bo + f) / 3; 
-    return Math.round(rating);
+// Slab increment at the next legal bid, used by the client slider for jump bids
+function getBidStep(room) {
+    return getBidIncrement(getNextBid(room), room.config.bidSlabs);
+}
+// Jump bids have to land on the ladder, stepping by each slab's increment on the way up
+function isOnBidLadder(amount, minBid, slabs) {
+    let rung = minBid;
+    while (rung < amount - 1e-6) {
+        rung = parseFloat((rung + getBidIncrement(rung, slabs)).toFixed(2));
+    }
+    return Math.abs(rung - amount) < 1e-6;
 }
 
-function loadPlayerDatabase() {
+function loadPlayerDatabase(poolId = DEFAULT_POOL_ID) {
+  const pool = BUNDLED_POOLS[poolId];
   try {
-    const rawData = fs.readFileSync(path.join(__dirname, "players.json"), "utf-8");
-    const players = JSON.parse(rawData);
-    return players.map((p, idx) => {
-        const weightedRating = calculateWeightedRating(p.role, p.bat, p.bowl, p.field);
-        return {
-            ...p,
-            id: p.id || `player_${idx}`, // Ensure unique ID
-            country: p.country || "India",   
-            status: p.status || "Uncapped",  
-            rating: weightedRating,          
-            basePrice: p.basePrice || 0.2,
-            img: p.img || "https://cdn-icons-png.flaticon.com/512/166/166344.png"
-        };
-    });
+    const rawData = fs.readFileSync(path.join(__dirname, pool.file), "utf-8");
+    const { players, errors } = validatePlayerRows(JSON.parse(rawData));
+    // A bad row in a bundled file shouldn't take the whole pool down
+    errors.forEach(e => console.error(`${pool.file} row ${e.row}: ${e.message}`));
+    return pool.filter ? players.filter(pool.filter) : players;
   } catch (error) {
-    console.error("CRITICAL: players.json not found!", error.message);
+    console.error(`CRITICAL: ${pool.file} could not be loaded!`, error.message);
     return []; 
   }
 }
 
+// Placeholder lot so a room with an empty pool still renders
+function getEmptyPoolPlaceholder() {
+    return [{
+        id: "error_0", 
+        name: "Error: No Players", 
+        role: "N/A", 
+        bat: 0, 
+        bowl: 0, 
+        field: 0, 
+        rating: 0, 
+        basePrice: 0, 
+        country: "India", 
+        status: "Uncapped", 
+        img: ""
+    }];
+}
+
+function listBundledPools() {
+    return Object.entries(BUNDLED_POOLS).map(([id, pool]) => ({ id, label: pool.label }));
+}
+
+// Resolves a create-room / set-player-pool request: either { bundledId } or an
+// upload { format, content, name }. Returns { players, info } or { error, errors }.
+function resolvePoolRequest(request) {
+    if (!request || typeof request !== "object" || request.bundledId !== undefined) {
+        const poolId = request && request.bundledId !== undefined ? sanitizeInput(request.bundledId, 20) : DEFAULT_POOL_ID;
+        if (!BUNDLED_POOLS[poolId]) return { error: "Unknown player pool", errors: [] };
+        return { players: loadPlayerDatabase(poolId), info: { id: poolId, name: BUNDLED_POOLS[poolId].label } };
+    }
+
+    const format = sanitizeInput(request.format, 10).toLowerCase();
+    if (typeof request.content === "string" && Buffer.byteLength(request.content) > MAX_POOL_UPLOAD_BYTES) {
+        return { error: `Pool files are limited to ${MAX_POOL_UPLOAD_BYTES / 1024} KB`, errors: [] };
+    }
+    const { rows, error } = parsePoolContent(format, request.content);
+    if (error) return { error, errors: [] };
+
+    const { players, errors } = validatePlayerRows(rows);
+    if (errors.length > 0) {
+        return { error: "Some rows in the pool are invalid, nothing was loaded", errors };
+    }
+    return { players, info: { id: "custom", name: sanitizeInput(request.name, 60) || "Custom pool" } };
+}
+
+// Lobby pools are stored already split into sets, edits rebuild the sets
+function setRoomPool(room, players) {
+    room.auction.playerPool = players.length > 0 ? buildAuctionSets(players) : getEmptyPoolPlaceholder();
+}
+
+function getPoolSummary(room) {
+    return {
+        ...room.pool,
+        count: room.auction.playerPool.filter(p => p.id !== "error_0").length
+    };
+}
+
 function shuffleArray(array) {
     const arr = [...array];
     for (let i = arr.length - 1; i > 0; i--) {
@@ -171,22 +875,210 @@ function shuffleArray(array) {
     return arr;
 }
 
+function chunkArray(array, size) {
+    const chunks = [];
+    for (let i = 0; i < array.length; i += size) {
+        chunks.push(array.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Orders the pool into IPL-style sets. Every player is tagged with its `set`
+// name, and shuffling only happens inside a set.
+function buildAuctionSets(players) {
+    const byRating = [...players].sort((a, b) => b.rating - a.rating);
+    const marquee = byRating.filter(p => p.status === "Capped").slice(0, MARQUEE_PLAYER_COUNT);
+    const marqueeIds = new Set(marquee.map(p => p.id));
+    const sets = [];
+
+    chunkArray(marquee, MARQUEE_SET_SIZE).forEach((chunk, i) => {
+        sets.push({ name: `Marquee ${i + 1}`, players: chunk });
+    });
+
+    ["Capped", "Uncapped"].forEach(status => {
+        // Stronger players (higher base price, then rating) land in earlier sets,
+        // and the roles take turns set by set like the real auction
+        const roleChunks = SET_ROLE_ORDER.map(role => chunkArray(
+            players
+                .filter(p => !marqueeIds.has(p.id) && p.status === status && p.role === role)
+                .sort((a, b) => (b.basePrice - a.basePrice) || (b.rating - a.rating)),
+            ROLE_SET_SIZE
+        ));
+        const others = players.filter(p => 
+            !marqueeIds.has(p.id) && p.status === status && !SET_ROLE_ORDER.includes(p.role)
+        );
+        if (others.length) roleChunks.push(chunkArray(others, ROLE_SET_SIZE));
+
+        const tiers = Math.max(0, ...roleChunks.map(c => c.length));
+        for (let tier = 0; tier < tiers; tier++) {
+            roleChunks.forEach((chunks, roleIdx) => {
+                if (!chunks[tier]) return;
+                const label = SET_ROLE_LABELS[SET_ROLE_ORDER[roleIdx]] || "Others";
+                sets.push({ name: `${status} ${label} ${tier + 1}`, players: chunks[tier] });
+            });
+        }
+    });
+
+    return sets.flatMap(set => shuffleArray(set.players).map(p => ({ ...p, set: set.name })));
+}
+
+// Fresh auction state in the lobby, for a new room or a new season
+function createAuctionState(playerPool, config) {
+    return {
+        playerPool, 
+        currentPlayerIndex: 0,
+        currentBid: 0,
+        currentBidderId: null,
+        biddingOpen: false,
+        phase: "LOBBY",
+        skippedBy: new Set(),
+        timeLeft: config.bidTimer,
+        timer: null,
+        round: "MAIN",
+        unsoldPlayers: [],
+        nominations: {},
+        nominationEndsAt: null,
+        paused: false,
+        lastSale: null,
+        proxyBids: {},
+        sealedBids: {},
+        sealedSeq: 0,
+        draft: null,
+        rtm: null,
+        trades: null
+    };
+}
+
+// Groups the (already ordered) pool back into consecutive sets for the lobby preview
+function getSetPreview(pool) {
+    const sets = [];
+    pool.forEach(p => {
+        const setName = p.set || "Main";
+        let current = sets[sets.length - 1];
+        if (!current || current.name !== setName) {
+            current = { name: setName, players: [] };
+            sets.push(current);
+        }
+        current.players.push({ 
+            id: p.id, name: p.name, role: p.role, rating: p.rating, basePrice: p.basePrice, country: p.country, status: p.status,
+            bat: p.bat, bowl: p.bowl, field: p.field, img: p.img
+        });
+    });
+    return sets;
+}
+
+// Set name and how many players of that set are still to come after the current lot
+function getSetProgress(auction) {
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (!player) return { setName: null, remainingInSet: 0 };
+    const setName = player.set || "Main";
+    let remainingInSet = 0;
+    for (let i = auction.currentPlayerIndex + 1; i < auction.playerPool.length; i++) {
+        if ((auction.playerPool[i].set || "Main") !== setName) break;
+        remainingInSet++;
+    }
+    return { setName, remainingInSet };
+}
+
+// Everything the client needs to render the lot currently under the hammer
+function getLotPayload(room) {
+    const auction = room.auction;
+    return {
+        player: auction.playerPool[auction.currentPlayerIndex],
+        currentBid: auction.currentBid,
+        nextBid: getNextBid(room),
+        bidStep: getBidStep(room),
+        round: auction.round,
+        format: room.config.auctionFormat,
+        ...getSetProgress(auction)
+    };
+}
+
 function updateRoomActivity(roomId) {
     if (rooms[roomId]) {
         rooms[roomId].lastActivity = Date.now();
     }
 }
 
+// --- EVENT LOG ---
+// Append-only history of the room, kept for the whole game so it can be
+// downloaded or replayed. Names are copied in because teams can leave later.
+function recordEvent(room, type, data = {}) {
+    room.eventLog.push({ seq: room.eventLog.length + 1, at: Date.now(), type, ...data });
+}
+
+function setPhase(room, phase) {
+    room.auction.phase = phase;
+    recordEvent(room, "phase", { phase });
+}
+
+// --- CSV EXPORTS ---
+const EVENT_CSV_COLUMNS = ["seq", "at", "type", "teamId", "teamName", "playerId", "playerName", "amount", "detail"];
+
+function csvCell(value) {
+    if (value === undefined || value === null) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    return [columns.join(","), ...rows.map(row => row.map(csvCell).join(","))].join("\r\n") + "\r\n";
+}
+
+function eventsToCsv(events) {
+    return toCsv(EVENT_CSV_COLUMNS, events.map(e => {
+        const { seq, at, type, teamId, teamName, playerId, playerName, amount, ...rest } = e;
+        const detail = Object.keys(rest).length > 0 ? JSON.stringify(rest) : "";
+        return [seq, new Date(at).toISOString(), type, teamId, teamName, playerId, playerName, amount, detail];
+    }));
+}
+
+const SQUAD_CSV_COLUMNS = ["teamId", "teamName", "purseLeft", "playerId", "playerName", "role", "country", "status", "rating", "soldPrice", "inPlaying11"];
+
+function squadsToCsv(teams) {
+    return toCsv(SQUAD_CSV_COLUMNS, teams.flatMap(team => {
+        const xi = new Set((team.playing11 || []).map(p => p.id));
+        return team.squad.map(p => [
+            team.id, team.name, team.purse, p.id, p.name, p.role, p.country, p.status, p.rating, p.soldPrice, xi.has(p.id) ? "yes" : "no"
+        ]);
+    }));
+}
+
+const REPORT_CSV_COLUMNS = [
+    "teamId", "teamName", "players", "spent", "purseLeft", "unspentShare",
+    ...KNOWN_ROLES.map(role => `spent${role.replace("-", "")}`),
+    "spentCapped", "spentUncapped", "overseas", "overseasSpent", "averagePriceToBase",
+    "balanceScore", "bestValue", "mostOverpaid"
+];
+
+function reportToCsv(report) {
+    const names = buys => buys.map(b => `${b.playerName} (${b.factor}x)`).join("; ");
+    return toCsv(REPORT_CSV_COLUMNS, report.teams.map(t => [
+        t.teamId, t.teamName, t.players, t.spent, t.purseLeft, t.unspentShare,
+        ...KNOWN_ROLES.map(role => t.spendByRole[role].spent),
+        t.spendByStatus.Capped.spent, t.spendByStatus.Uncapped.spent,
+        t.overseas.count, t.overseas.spent, t.averagePriceToBase,
+        t.balance.score, names(t.bestValue), names(t.mostOverpaid)
+    ]));
+}
+
+const LEADERBOARD_CSV_COLUMNS = ["position", "userId", "displayName", "rating", "gamesPlayed", "wins", "averageRank", "spendEfficiency"];
+
+function leaderboardToCsv(leaderboard) {
+    return toCsv(LEADERBOARD_CSV_COLUMNS, leaderboard.map((p, i) => [
+        i + 1, p.userId, p.displayName, p.rating, p.gamesPlayed, p.wins, p.averageRank, p.spendEfficiency
+    ]));
+}
+
 // --- GAME STATE LOGIC ---
 
 function checkEliminations(room) {
     if(!room || !room.teams) return;
     Object.values(room.teams).forEach(team => {
-        if (team.purse < BID_INCREMENT && team.squad.length < MIN_SQUAD_TO_PLAY) {
+        if (team.purse < getMinimumIncrement(room.config.bidSlabs) && team.squad.length < room.config.minSquadToPlay) {
             team.isEliminated = true;
         }
     });
-    saveGameData();
 }
 
 function endAuctionPhase(roomId) {
@@ -196,11 +1088,21 @@ function endAuctionPhase(roomId) {
         clearInterval(room.auction.timer);
         room.auction.timer = null;
     }
-    room.auction.phase = "SELECTION";
     room.auction.biddingOpen = false;
+    if (room.config.tradeWindow > 0) {
+        openTradeWindow(roomId);
+        return;
+    }
+    startSelectionPhase(roomId);
+}
+
+function startSelectionPhase(roomId) {
+    const room = rooms[roomId];
+    setPhase(room, "SELECTION");
     io.to(roomId).emit("start-selection-phase");
     updateRoomActivity(roomId);
-    saveGameData();
+    saveGameData(roomId);
+    submitBotPlaying11s(roomId);
 }
 
 function checkAuctionCompletion(roomId) {
@@ -211,7 +1113,7 @@ function checkAuctionCompletion(roomId) {
     const activeBidders = teams.filter(t => 
         !t.isEliminated && 
         !t.isFinishedBidding && 
-        t.squad.length < MAX_SQUAD_SIZE
+        t.squad.length < room.config.maxSquadSize
     );
     
     if (activeBidders.length === 0) {
@@ -223,29 +1125,445 @@ function checkAuctionCompletion(roomId) {
     }
 }
 
-function calculateWinner(roomId) {
-    const room = rooms[roomId];
-    if (!room) return;
+// Price-for-value adjustment: bargains play above their rating, overpriced
+// stars below it. Returns the rating change, judged on soldPrice / basePrice.
+function getPriceAdjustment(p) {
+    // Drafted players cost nothing, so there is no price to judge them by
+    if (p.draftPick !== undefined) return 0;
+    const factor = p.soldPrice / p.basePrice;
+    if (p.rating > 88 && factor >= 8) return -5;
+    if (p.rating > 88 && factor < 6) return 5;
+    if (p.rating < 88 && factor > 6) return -5;
+    if (p.rating < 88 && factor < 4) return 5;
+    return 0;
+}
+
+function getEffectiveRating(p) {
+    return Math.max(0, p.rating + getPriceAdjustment(p));
+}
+
+// A team's submitted XI in batting order, with each player's form for the match engine.
+// The impact player gets no leadership bonus, even when replacing the captain.
+function buildMatchSide(team) {
+    const side = {
+        id: team.id,
+        name: team.name,
+        players: (team.playing11 || []).map(p => {
+            let form = getEffectiveRating(p) - p.rating;
+            if (p.id === team.captainId) form += CAPTAIN_FORM_BONUS;
+            else if (p.id === team.viceCaptainId) form += VICE_CAPTAIN_FORM_BONUS;
+            return { ...p, form };
+        })
+    };
+    const impactPlayer = team.impact && (team.bench || []).find(p => p.id === team.impact.playerId);
+    if (impactPlayer) {
+        side.impact = {
+            player: { ...impactPlayer, form: getEffectiveRating(impactPlayer) - impactPlayer.rating },
+            replacesId: team.impact.replacesId
+        };
+    }
+    return side;
+}
+
+// Every active team plays every other once; the points table decides the ranking.
+// Rooms big enough for a league get the full tournament instead.
+function calculateWinner(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
     
-    room.auction.phase = "RESULT";
     const teams = Object.values(room.teams).filter(t => !t.isEliminated);
-    teams.sort((a, b) => b.totalScore - a.totalScore);
-    io.to(roomId).emit("game-over-results", { winner: teams[0], rankings: teams });
+    if (teams.length >= LEAGUE_MIN_TEAMS && teams.length <= LEAGUE_MAX_TEAMS) {
+        startTournament(roomId);
+        return;
+    }
+    
+    setPhase(room, "RESULT");
+    const sides = teams.map(buildMatchSide);
+    const matches = [];
+    
+    for (let i = 0; i < sides.length; i++) {
+        for (let j = i + 1; j < sides.length; j++) {
+            matches.push(simulateMatch(sides[i], sides[j], `${room.matchSeed}:${matches.length}`));
+        }
+    }
+    
+    const standings = computeStandings(sides, matches);
+    standings.forEach(row => {
+        room.teams[row.teamId].totalScore = row.points;
+    });
+    room.results = { 
+        seed: room.matchSeed, 
+        matches, 
+        standings, 
+        playoffs: [], 
+        rankingIds: standings.map(row => row.teamId) 
+    };
+    recordProfileResults(roomId);
+    
+    emitResults(roomId);
     updateRoomActivity(roomId);
-    saveGameData();
+    saveGameData(roomId);
+}
+
+function getResults(room) {
+    return room.results || { matches: [], standings: [], playoffs: [], rankingIds: [] };
+}
+
+// Surviving teams, best first
+function getRankedTeams(room) {
+    const teams = Object.values(room.teams).filter(t => !t.isEliminated);
+    const position = new Map(getResults(room).rankingIds.map((id, i) => [id, i]));
+    // Rooms finished before the match engine only have the old score sum
+    return teams.sort((a, b) => 
+        ((position.has(a.id) ? position.get(a.id) : Infinity) - (position.has(b.id) ? position.get(b.id) : Infinity)) || 
+        (b.totalScore - a.totalScore)
+    );
 }
 
 function emitResults(roomId) {
     const room = rooms[roomId];
     if(room && room.auction.phase === "RESULT") {
-      const teams = Object.values(room.teams).filter(t => !t.isEliminated);
-      teams.sort((a, b) => b.totalScore - a.totalScore);
-      io.to(roomId).emit("game-over-results", { winner: teams[0], rankings: teams });
+      const results = getResults(room);
+      const teams = getRankedTeams(room);
+      io.to(roomId).emit("game-over-results", { 
+          winner: teams[0], 
+          rankings: teams, 
+          standings: results.standings, 
+          matches: results.matches,
+          playoffs: results.playoffs,
+          seed: results.seed
+      });
+    }
+}
+
+// --- AUCTION REPORT ---
+const roundTo2 = value => parseFloat(value.toFixed(2));
+
+function sumSpend(players) {
+    return roundTo2(players.reduce((sum, p) => sum + (p.soldPrice || 0), 0));
+}
+
+// Players bought with money; drafted players have no price to analyse
+function getPricedBuys(players) {
+    return players.filter(p => p.draftPick === undefined && p.basePrice > 0);
+}
+
+function describeBuy(p, team) {
+    return {
+        playerId: p.id,
+        playerName: p.name,
+        role: p.role,
+        teamId: team.id,
+        teamName: team.name,
+        rating: p.rating,
+        basePrice: p.basePrice,
+        soldPrice: p.soldPrice,
+        factor: roundTo2(p.soldPrice / p.basePrice),
+        adjustment: getPriceAdjustment(p)
+    };
+}
+
+// Bargains (rated up by getPriceAdjustment) cheapest-relative-to-base first,
+// overpays (rated down) dearest first
+function rankBuys(buys) {
+    return {
+        bestValue: buys.filter(b => b.adjustment > 0)
+            .sort((a, b) => a.factor - b.factor || b.rating - a.rating)
+            .slice(0, REPORT_TOP_BUYS),
+        mostOverpaid: buys.filter(b => b.adjustment < 0)
+            .sort((a, b) => b.factor - a.factor || a.rating - b.rating)
+            .slice(0, REPORT_TOP_BUYS)
+    };
+}
+
+function groupSpend(players, key, keys) {
+    const groups = {};
+    keys.forEach(k => { groups[k] = { count: 0, spent: 0 }; });
+    players.forEach(p => {
+        const group = groups[p[key]] || (groups[p[key]] = { count: 0, spent: 0 });
+        group.count++;
+        group.spent = roundTo2(group.spent + (p.soldPrice || 0));
+    });
+    return groups;
+}
+
+function getAveragePriceToBase(players) {
+    const priced = getPricedBuys(players);
+    if (priced.length === 0) return null;
+    return roundTo2(priced.reduce((sum, p) => sum + p.soldPrice / p.basePrice, 0) / priced.length);
+}
+
+// Role counts against the template scaled to the squad's size. The score is
+// 100 when the role shares match the template exactly.
+function getSquadBalance(squad) {
+    const templateTotal = Object.values(IDEAL_SQUAD_TEMPLATE).reduce((a, b) => a + b, 0);
+    let drift = 0;
+    const roles = Object.entries(IDEAL_SQUAD_TEMPLATE).map(([role, target]) => {
+        const have = squad.filter(p => p.role === role).length;
+        const idealShare = target / templateTotal;
+        if (squad.length > 0) drift += Math.abs(have / squad.length - idealShare);
+        return { role, have, ideal: Math.round(idealShare * squad.length) };
+    });
+    return { roles, score: squad.length > 0 ? Math.round(100 * (1 - drift / 2)) : 0 };
+}
+
+function buildTeamReport(room, team) {
+    const squad = team.squad;
+    const overseas = squad.filter(p => p.country === "Overseas");
+    const buys = getPricedBuys(squad).map(p => describeBuy(p, team));
+    return {
+        teamId: team.id,
+        teamName: team.name,
+        players: squad.length,
+        spent: sumSpend(squad),
+        purseLeft: team.purse,
+        unspentShare: roundTo2(team.purse / room.config.startingPurse),
+        spendByRole: groupSpend(squad, "role", KNOWN_ROLES),
+        spendByStatus: groupSpend(squad, "status", ["Capped", "Uncapped"]),
+        overseas: { count: overseas.length, limit: room.config.maxOverseasSquad, spent: sumSpend(overseas) },
+        averagePriceToBase: getAveragePriceToBase(squad),
+        ...rankBuys(buys),
+        balance: getSquadBalance(squad)
+    };
+}
+
+// Spend, value and squad-shape figures for every team plus room-wide totals
+function buildAuctionReport(room) {
+    const teams = Object.values(room.teams);
+    const allPlayers = teams.flatMap(t => t.squad);
+    const allBuys = teams.flatMap(t => getPricedBuys(t.squad).map(p => describeBuy(p, t)));
+    return {
+        season: room.season,
+        format: room.config.auctionFormat,
+        teams: teams.map(t => buildTeamReport(room, t)),
+        room: {
+            players: allPlayers.length,
+            spent: sumSpend(allPlayers),
+            purseLeft: roundTo2(teams.reduce((sum, t) => sum + t.purse, 0)),
+            spendByRole: groupSpend(allPlayers, "role", KNOWN_ROLES),
+            spendByStatus: groupSpend(allPlayers, "status", ["Capped", "Uncapped"]),
+            overseas: allPlayers.filter(p => p.country === "Overseas").length,
+            averagePriceToBase: getAveragePriceToBase(allPlayers),
+            ...rankBuys(allBuys)
+        }
+    };
+}
+
+// --- TOURNAMENT ---
+// Circle method: every team meets every other once, spread over rounds so
+// nobody plays twice in a row more than necessary
+function generateRoundRobin(teamIds) {
+    const ids = [...teamIds];
+    if (ids.length % 2 === 1) ids.push(null); // bye
+    const rounds = ids.length - 1;
+    const half = ids.length / 2;
+    const fixtures = [];
+
+    for (let round = 0; round < rounds; round++) {
+        for (let i = 0; i < half; i++) {
+            const home = ids[i];
+            const away = ids[ids.length - 1 - i];
+            if (home && away) fixtures.push({ round: round + 1, teamIds: [home, away] });
+        }
+        // Keep the first team fixed and rotate the rest
+        ids.splice(1, 0, ids.pop());
+    }
+    return fixtures;
+}
+
+function startTournament(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    const teams = Object.values(room.teams).filter(t => !t.isEliminated);
+    setPhase(room, "TOURNAMENT");
+    room.tournament = {
+        teams: teams.map(t => ({ id: t.id, name: t.name })),
+        fixtures: generateRoundRobin(teams.map(t => t.id)).map((f, i) => ({
+            id: i + 1,
+            stage: "League",
+            round: f.round,
+            teamIds: f.teamIds,
+            result: null
+        })),
+        standings: computeStandings(teams, []),
+        nextFixture: 0
+    };
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("tournament-started", getTournamentPayload(room));
+    scheduleNextFixture(roomId);
+}
+
+function scheduleNextFixture(roomId) {
+    const room = rooms[roomId];
+    if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
+    room.nextPlayerTimeout = setTimeout(() => {
+        room.nextPlayerTimeout = null;
+        if (rooms[roomId] && rooms[roomId].auction.phase === "TOURNAMENT") {
+            playNextFixture(roomId);
+        }
+    }, FIXTURE_INTERVAL_MS);
+}
+
+function getTournamentPayload(room) {
+    const t = room.tournament;
+    return { teams: t.teams, fixtures: t.fixtures, standings: t.standings, nextFixture: t.nextFixture };
+}
+
+function getTeamName(room, teamId) {
+    const entry = room.tournament.teams.find(t => t.id === teamId);
+    return entry ? entry.name : "Unknown";
+}
+
+function playNextFixture(roomId) {
+    const room = rooms[roomId];
+    const t = room.tournament;
+    const fixture = t.fixtures[t.nextFixture];
+    if (!fixture) return;
+
+    const [idA, idB] = fixture.teamIds;
+    const teamA = room.teams[idA];
+    const teamB = room.teams[idB];
+
+    if (teamA && teamB) {
+        fixture.result = simulateMatch(buildMatchSide(teamA), buildMatchSide(teamB), `${room.matchSeed}:${fixture.id}`);
+        // Knockouts cannot end level: the side that finished higher in the league goes through
+        if (fixture.stage !== "League" && fixture.result.tied) {
+            const position = (id) => t.standings.findIndex(row => row.teamId === id);
+            fixture.result.winnerId = position(idA) <= position(idB) ? idA : idB;
+            fixture.result.tied = false;
+            fixture.result.result = `Match tied, ${getTeamName(room, fixture.result.winnerId)} go through on league position`;
+        }
+    } else if (teamA || teamB) {
+        // A team left mid-tournament: their opponent takes the walkover
+        const winnerId = teamA ? idA : idB;
+        fixture.result = { 
+            teams: [idA, idB], 
+            innings: [], 
+            winnerId, 
+            tied: false, 
+            walkover: true, 
+            result: `${getTeamName(room, winnerId)} won by walkover` 
+        };
+    } else if (fixture.stage === "League") {
+        fixture.result = { teams: [idA, idB], innings: [], winnerId: null, tied: false, walkover: true, result: "Not played" };
+    } else {
+        // A knockout still needs someone to go through, so the pairing stays intact
+        const position = (id) => t.standings.findIndex(row => row.teamId === id);
+        const winnerId = position(idA) <= position(idB) ? idA : idB;
+        fixture.result = { 
+            teams: [idA, idB], 
+            innings: [], 
+            winnerId, 
+            tied: false, 
+            walkover: true, 
+            result: `Not played, ${getTeamName(room, winnerId)} go through on league position` 
+        };
+    }
+    t.nextFixture++;
+
+    if (fixture.stage === "League") {
+        t.standings = computeStandings(t.teams, getScoredLeagueMatches(t));
+    }
+
+    const newFixtures = addPlayoffFixtures(room);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("fixture-result", { fixture, standings: t.standings, newFixtures });
+
+    if (t.nextFixture < t.fixtures.length) {
+        scheduleNextFixture(roomId);
+    } else {
+        finishTournament(roomId);
+    }
+}
+
+// Walkovers count as a win for the side that turned up, unplayed fixtures count for nobody
+function getScoredLeagueMatches(t) {
+    return t.fixtures.filter(f => f.stage === "League" && f.result && (!f.result.walkover || f.result.winnerId)).map(f => f.result);
+}
+
+function fixtureLoser(fixture) {
+    return fixture.teamIds.find(id => id !== fixture.result.winnerId);
+}
+
+// Adds the next knockout fixtures once the games they depend on are done.
+// Qualifier 1 (1st v 2nd) and the Eliminator (3rd v 4th) follow the league,
+// Qualifier 2 pits the Q1 loser against the Eliminator winner, then the final.
+function addPlayoffFixtures(room) {
+    const t = room.tournament;
+    if (t.fixtures.some(f => !f.result)) return [];
+    const byStage = (stage) => t.fixtures.find(f => f.stage === stage);
+    const added = [];
+    const add = (stage, teamIds) => {
+        const fixture = { id: t.fixtures.length + 1, stage, round: null, teamIds, result: null };
+        t.fixtures.push(fixture);
+        added.push(fixture);
+    };
+
+    if (!byStage("Qualifier 1")) {
+        // Teams that left are seeded behind everyone still here, so they only
+        // fill a spot nobody else can take
+        const present = t.standings.filter(row => room.teams[row.teamId]);
+        const departed = t.standings.filter(row => !room.teams[row.teamId]);
+        const top = [...present, ...departed].slice(0, 4).map(row => row.teamId);
+        add("Qualifier 1", [top[0], top[1]]);
+        add("Eliminator", [top[2], top[3]]);
+    } else if (!byStage("Qualifier 2")) {
+        add("Qualifier 2", [fixtureLoser(byStage("Qualifier 1")), byStage("Eliminator").result.winnerId]);
+    } else if (!byStage("Final")) {
+        add("Final", [byStage("Qualifier 1").result.winnerId, byStage("Qualifier 2").result.winnerId]);
     }
+    return added;
+}
+
+// Champion and runner-up from the final, then the Q2 and Eliminator losers,
+// then everybody else in league order
+function finishTournament(roomId) {
+    const room = rooms[roomId];
+    const t = room.tournament;
+    const byStage = (stage) => t.fixtures.find(f => f.stage === stage);
+    const final = byStage("Final");
+
+    const rankingIds = [
+        final.result.winnerId,
+        fixtureLoser(final),
+        fixtureLoser(byStage("Qualifier 2")),
+        fixtureLoser(byStage("Eliminator"))
+    ];
+    t.standings.forEach(row => {
+        if (!rankingIds.includes(row.teamId)) rankingIds.push(row.teamId);
+    });
+
+    t.standings.forEach(row => {
+        if (room.teams[row.teamId]) room.teams[row.teamId].totalScore = row.points;
+    });
+
+    setPhase(room, "RESULT");
+    room.results = {
+        seed: room.matchSeed,
+        matches: t.fixtures.filter(f => f.stage === "League" && f.result && !f.result.walkover).map(f => f.result),
+        standings: t.standings,
+        playoffs: t.fixtures.filter(f => f.stage !== "League").map(f => ({
+            stage: f.stage,
+            teamIds: f.teamIds,
+            teamNames: f.teamIds.map(id => getTeamName(room, id)),
+            result: f.result
+        })),
+        rankingIds: rankingIds.filter(id => room.teams[id])
+    };
+    recordProfileResults(roomId);
+
+    emitResults(roomId);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
 }
 
 // --- TIMERS ---
-function startAuctionTimer(roomId) {
+// keepTimeLeft continues a lot from its remaining seconds instead of a fresh countdown
+function startAuctionTimer(roomId, keepTimeLeft = false) {
     const room = rooms[roomId];
     if (!room || !room.auction) {
         console.error('startAuctionTimer: Invalid room:', roomId);
@@ -253,7 +1571,9 @@ function startAuctionTimer(roomId) {
     }
     const auction = room.auction;
     
-    auction.timeLeft = 10; 
+    if (!keepTimeLeft || !(auction.timeLeft > 0)) {
+        auction.timeLeft = auction.round === "ACCELERATED" ? room.config.acceleratedTimer : room.config.bidTimer; 
+    }
     
     if (auction.timer) {
         clearInterval(auction.timer);
@@ -270,7 +1590,9 @@ function startAuctionTimer(roomId) {
         
         console.log(`Timer expired for room ${roomId}, bidderId: ${auction.currentBidderId}`);
         
-        if (auction.currentBidderId) {
+        if (room.config.auctionFormat === "sealed") {
+            closeSealedLot(roomId);
+        } else if (auction.currentBidderId) {
             finishBidding(roomId);
         } else {
             finishPlayerUnsold(roomId);
@@ -284,10 +1606,16 @@ function startNextPlayer(roomId) {
     if(!room || room.auction.phase !== "AUCTION") return;
     
     const auction = room.auction;
+    // A paused room opens its next lot on resume
+    if (auction.paused) return;
     
-    // Check if auction should end
+    // Main pool exhausted: give unsold players one more chance before ending
     if (auction.currentPlayerIndex >= auction.playerPool.length) {
-      endAuctionPhase(roomId);
+      if (auction.round === "MAIN" && room.config.acceleratedRound && auction.unsoldPlayers.length > 0) {
+          startAcceleratedRound(roomId);
+      } else {
+          endAuctionPhase(roomId);
+      }
       return;
     }
     
@@ -295,15 +1623,110 @@ function startNextPlayer(roomId) {
     auction.currentBid = player.basePrice;
     auction.currentBidderId = null;
     auction.skippedBy = new Set(); // Use Set to prevent duplicates
+    auction.sealedBids = {};
     auction.biddingOpen = true;
+    recordEvent(room, "lot-opened", { playerId: player.id, playerName: player.name, amount: player.basePrice, set: player.set || "Main" });
     
     updateRoomActivity(roomId);
-    saveGameData();
-    io.to(roomId).emit("new-player", { player, currentBid: auction.currentBid });
+    saveGameData(roomId);
+    io.to(roomId).emit("new-player", getLotPayload(room));
     startAuctionTimer(roomId);
+    applyProxyBids(roomId);
+    scheduleBotTurn(roomId);
+}
+
+// --- ACCELERATED ROUND ---
+function startAcceleratedRound(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    const auction = room.auction;
+    auction.biddingOpen = false;
+
+    if (room.config.nominationWindow <= 0) {
+        beginAcceleratedLots(roomId);
+        return;
+    }
+
+    auction.round = "NOMINATION";
+    recordEvent(room, "round", { round: "NOMINATION" });
+    auction.nominations = {};
+    auction.nominationEndsAt = Date.now() + room.config.nominationWindow * 1000;
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("nominations-open", {
+        players: auction.unsoldPlayers,
+        seconds: room.config.nominationWindow
+    });
+    scheduleNominationClose(roomId);
+    submitBotNominations(roomId);
+}
+
+function scheduleNominationClose(roomId) {
+    const room = rooms[roomId];
+    if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
+    const delay = Math.max(0, room.auction.nominationEndsAt - Date.now());
+    room.nextPlayerTimeout = setTimeout(() => {
+        room.nextPlayerTimeout = null;
+        if (rooms[roomId] && rooms[roomId].auction.round === "NOMINATION") {
+            beginAcceleratedLots(roomId);
+        }
+    }, delay);
+}
+
+// Re-offers the unsold players (only the nominated ones when a nomination
+// window ran) at reduced base prices, then resumes the normal lot cycle
+function beginAcceleratedLots(roomId) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "AUCTION") return;
+    const auction = room.auction;
+
+    let returning = auction.unsoldPlayers;
+    if (room.config.nominationWindow > 0) {
+        const nominated = new Set(Object.values(auction.nominations).flat());
+        returning = returning.filter(p => nominated.has(p.id));
+    }
+
+    auction.round = "ACCELERATED";
+    recordEvent(room, "round", { round: "ACCELERATED", count: returning.length });
+    auction.unsoldPlayers = [];
+    auction.nominations = {};
+    auction.nominationEndsAt = null;
+
+    if (returning.length === 0) {
+        endAuctionPhase(roomId);
+        return;
+    }
+
+    const reoffered = shuffleArray(returning).map(p => ({
+        ...p,
+        originalBasePrice: p.originalBasePrice || p.basePrice,
+        basePrice: Math.max(0.01, parseFloat((p.basePrice * room.config.acceleratedPriceFactor).toFixed(2))),
+        set: "Accelerated"
+    }));
+    // Lift them out of their main-round slots so each player is in the pool once
+    const returningIds = new Set(returning.map(p => p.id));
+    auction.playerPool = auction.playerPool.filter(p => !returningIds.has(p.id));
+    auction.currentPlayerIndex = auction.playerPool.length;
+    auction.playerPool.push(...reoffered);
+
+    io.to(roomId).emit("accelerated-round-started", {
+        count: reoffered.length,
+        timer: room.config.acceleratedTimer,
+        priceFactor: room.config.acceleratedPriceFactor
+    });
+    startNextPlayer(roomId);
+}
+
+// Unsold players from the main round are kept for the accelerated round,
+// anything unsold in the accelerated round is gone for good
+function recordUnsold(room, player) {
+    if (room.auction.round === "MAIN" && player) {
+        room.auction.unsoldPlayers.push(player);
+    }
 }
 
-function finishBidding(roomId) {
+// `rtmSettled` is set once a Right-to-Match offer on this sale has been answered
+function finishBidding(roomId, rtmSettled = false) {
     const room = rooms[roomId];
     if (!room) {
         console.error('finishBidding: Room not found:', roomId);
@@ -328,17 +1751,22 @@ function finishBidding(roomId) {
             return;
         }
         
-        if (team.squad.length >= MAX_SQUAD_SIZE) {
+        if (team.squad.length >= room.config.maxSquadSize) {
             console.error('Squad full for:', team.name);
             finishPlayerUnsold(roomId);
             return;
         }
         
+        if (!rtmSettled && offerRtm(roomId, player, team, finalPrice)) return;
+        
         team.purse = parseFloat((team.purse - finalPrice).toFixed(2));
         const soldPlayer = { ...player, soldPrice: finalPrice };
         team.squad.push(soldPlayer);
+        auction.lastSale = { teamId: team.id, playerId: player.id, price: finalPrice };
+        retireBotIfDone(room, team);
         
         console.log(`Player ${player.name} sold to ${team.name} for ${finalPrice}`);
+        recordEvent(room, "player-sold", { teamId: team.id, teamName: team.name, playerId: player.id, playerName: player.name, amount: finalPrice });
         
         checkEliminations(room);
         io.to(roomId).emit("player-sold", { 
@@ -349,6 +1777,8 @@ function finishBidding(roomId) {
         });
     } else {
         console.error('Winner team not found:', winnerUserId);
+        recordUnsold(room, player);
+        recordEvent(room, "player-unsold", { playerId: player.id, playerName: player.name });
         io.to(roomId).emit("player-unsold", { player });
     }
 
@@ -362,6 +1792,8 @@ function finishPlayerUnsold(roomId) {
 
     room.auction.biddingOpen = false;
     const player = room.auction.playerPool[room.auction.currentPlayerIndex];
+    recordUnsold(room, player);
+    if (player) recordEvent(room, "player-unsold", { playerId: player.id, playerName: player.name });
     io.to(roomId).emit("player-unsold", { player });
     prepareNext(roomId);
 }
@@ -373,10 +1805,18 @@ function prepareNext(roomId) {
         return;
     }
     
+    const finished = room.auction.playerPool[room.auction.currentPlayerIndex];
+    if (finished) clearProxyBidsForPlayer(roomId, finished.id);
     room.auction.currentPlayerIndex++;
     checkEliminations(room);
     io.to(roomId).emit("teams-updated", Object.values(room.teams));
     updateRoomActivity(roomId);
+    saveGameData(roomId);
+    scheduleNextPlayer(roomId);
+}
+
+function scheduleNextPlayer(roomId) {
+    const room = rooms[roomId];
     
     // Use room-specific timeout tracking
     if (room.nextPlayerTimeout) {
@@ -385,6 +1825,7 @@ function prepareNext(roomId) {
     }
     
     room.nextPlayerTimeout = setTimeout(() => {
+        room.nextPlayerTimeout = null;
         if (rooms[roomId] && rooms[roomId].auction.phase === "AUCTION") {
             console.log('Starting next player for room:', roomId);
             startNextPlayer(roomId);
@@ -394,146 +1835,1866 @@ function prepareNext(roomId) {
     }, 3000);
 }
 
-// --- SOCKET CONNECTION ---
-io.on("connection", (socket) => {
-
-  socket.on("rejoin-game", ({ userId, roomId }) => {
-      userId = sanitizeInput(userId, 100);
-      roomId = sanitizeInput(roomId, 20).toUpperCase();
-      
-      socketToUserMap[socket.id] = userId;
-      
-      // Clean up old socket for this user
-      if (userToSocketMap[userId]) {
-          delete socketToUserMap[userToSocketMap[userId]];
-      }
-      userToSocketMap[userId] = socket.id;
+function emitNominationState(socket, room, userId) {
+    socket.emit("nominations-open", {
+        players: room.auction.unsoldPlayers,
+        seconds: Math.max(0, Math.round((room.auction.nominationEndsAt - Date.now()) / 1000)),
+        nominated: room.auction.nominations[userId] || []
+    });
+}
 
-      if (roomId && rooms[roomId]) {
-          const room = rooms[roomId];
-          const team = room.teams[userId];
+// --- SPECTATORS ---
+// Spectators sit in the socket.io room and get every broadcast, but they are
+// never in room.teams, so skips, eliminations and XI checks ignore them.
+// room.spectators remembers who may rejoin, the live count comes from sockets.
+function getSpectatorCount(roomId) {
+    const room = rooms[roomId];
+    const socketIds = io.sockets.adapter.rooms.get(roomId);
+    if (!room || !socketIds) return 0;
+    return [...socketIds].filter(id => room.spectators[socketToUserMap[id]]).length;
+}
 
-          if (team) {
-              socket.join(roomId);
-              socket.emit("joined-room", { 
-                  roomId, 
-                  team, 
-                  isHost: (room.hostId === userId) 
-              });
-              
-              io.to(roomId).emit("teams-updated", Object.values(room.teams));
-              
-              if(room.auction.phase === "AUCTION" && room.auction.biddingOpen) {
-                  const player = room.auction.playerPool[room.auction.currentPlayerIndex];
-                  socket.emit("new-player", { player, currentBid: room.auction.currentBid });
-                  
-                  if(room.auction.currentBidderId) {
-                      const leader = room.teams[room.auction.currentBidderId];
-                      socket.emit("bid-updated", { 
-                          currentBid: room.auction.currentBid, 
-                          bidderId: room.auction.currentBidderId, 
-                          bidderName: leader ? leader.name : "Unknown"
-                      });
-                  }
-                  socket.emit("timer-update", room.auction.timeLeft || 10);
-              } else if(room.auction.phase === "SELECTION") {
-                  socket.emit("start-selection-phase");
-              } else if(room.auction.phase === "RESULT") {
-                  emitResults(roomId);
-              }
-              
-              updateRoomActivity(roomId);
-              return;
-          }
-      }
-      socket.emit("error-message", "Session expired or room closed.");
-  });
+function emitSpectatorCount(roomId) {
+    io.to(roomId).emit("spectators-updated", { count: getSpectatorCount(roomId) });
+}
 
-  socket.on("create-room", ({ teamName, purse, userId }) => {
-    userId = sanitizeInput(userId, 100);
-    teamName = sanitizeInput(teamName, 30) || "Team";
-    
-    socketToUserMap[socket.id] = userId;
-    userToSocketMap[userId] = socket.id;
-    
-    const roomId = Math.random().toString(36).substr(2, 6).toUpperCase();
-    const hostPurse = Math.max(50, Math.min(500, parseFloat(purse) || 100));
-
-    let initialPool = loadPlayerDatabase();
-    if(initialPool.length === 0) {
-        initialPool = [{
-            id: "error_0", 
-            name: "Error: No Players", 
-            role: "N/A", 
-            bat: 0, 
-            bowl: 0, 
-            field: 0, 
-            rating: 0, 
-            basePrice: 0, 
-            country: "India", 
-            status: "Uncapped", 
-            img: ""
-        }];
-    } else {
-        initialPool = shuffleArray(initialPool);
-    }
+// Shared part of joined-room for teams and spectators
+function getJoinPayload(roomId, userId) {
+    const room = rooms[roomId];
+    const team = room.teams[userId] || null;
+    return {
+        roomId,
+        team,
+        spectator: !team,
+        isHost: room.hostId === userId,
+        config: room.config,
+        phase: room.auction.phase,
+        paused: room.auction.paused,
+        hostLog: room.hostLog,
+        pool: getPoolSummary(room),
+        access: getAccessSummary(room),
+        spectatorCount: getSpectatorCount(roomId),
+        season: room.season
+    };
+}
 
-    rooms[roomId] = {
-      hostId: userId,
-      config: { startingPurse: hostPurse }, 
-      teams: {
-        [userId]: { 
-            id: userId, 
-            name: teamName, 
-            purse: hostPurse, 
-            squad: [], 
-            isEliminated: false, 
-            isFinishedBidding: false, 
-            submitted11: false, 
-            totalScore: 0 
+// Catches a (re)joining socket up with whatever stage the room is in
+function emitRoomState(socket, roomId, userId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    if (room.teams[userId]) socket.emit("proxy-bids", getProxyBidList(room, userId));
+    if(auction.phase === "AUCTION" && auction.biddingOpen) {
+        socket.emit("new-player", getLotPayload(room));
+        
+        if(auction.currentBidderId) {
+            const leader = room.teams[auction.currentBidderId];
+            socket.emit("bid-updated", { 
+                currentBid: auction.currentBid, 
+                bidderId: auction.currentBidderId, 
+                bidderName: leader ? leader.name : "Unknown",
+                nextBid: getNextBid(room),
+                bidStep: getBidStep(room)
+            });
         }
-      },
-      auction: {
-        playerPool: initialPool, 
-        currentPlayerIndex: 0,
-        currentBid: 0,
-        currentBidderId: null,
-        biddingOpen: false,
-        phase: "LOBBY",
-        skippedBy: new Set(),
-        timeLeft: 10,
-        timer: null
-      },
-      lastActivity: Date.now(),
-      nextPlayerTimeout: null
-    };
+        if (room.config.auctionFormat === "sealed") {
+            const ownBid = auction.sealedBids[userId];
+            if (ownBid) socket.emit("sealed-bid-accepted", { amount: ownBid.amount });
+            socket.emit("sealed-bids-updated", {
+                submitted: Object.keys(auction.sealedBids).length,
+                total: getSealedBidders(room).length
+            });
+        }
+        socket.emit("timer-update", auction.timeLeft || room.config.bidTimer);
+    } else if(auction.phase === "AUCTION" && auction.rtm) {
+        socket.emit("rtm-pending", getRtmPayload(room));
+    } else if(auction.phase === "AUCTION" && auction.round === "NOMINATION") {
+        emitNominationState(socket, room, userId);
+    } else if(auction.phase === "DRAFT") {
+        socket.emit("draft-turn", getDraftPayload(room));
+    } else if(auction.phase === "TRADE") {
+        socket.emit("trade-window-opened", getTradeWindowPayload(room));
+        if (room.teams[userId]) socket.emit("trade-offers", getTradeOffersFor(room, userId));
+    } else if(auction.phase === "SELECTION") {
+        socket.emit("start-selection-phase");
+    } else if(auction.phase === "TOURNAMENT") {
+        socket.emit("tournament-started", getTournamentPayload(room));
+    } else if(auction.phase === "RESULT") {
+        emitResults(roomId);
+    }
+}
 
-    saveGameData();
-    socket.join(roomId);
-    socket.emit("room-created", { 
-        roomId, 
-        team: rooms[roomId].teams[userId], 
-        isHost: true 
-    });
-    io.to(roomId).emit("teams-updated", Object.values(rooms[roomId].teams));
-  });
+// --- TEAM ACTIONS ---
+// Shared by the socket handlers and the bots, so both go through the same checks.
+// Each returns false when the action is not allowed.
 
-  socket.on("join-room", ({ roomId, teamName, userId }) => {
-    userId = sanitizeInput(userId, 100);
-    roomId = sanitizeInput(roomId, 20).toUpperCase();
-    teamName = sanitizeInput(teamName, 30) || "Team";
+// Squad-side checks every bid or draft pick has to pass, whatever the format
+function canTeamBidOn(room, team, player) {
+    if (!team || team.isEliminated || team.isFinishedBidding) return false;
+    if (team.squad.length >= room.config.maxSquadSize) return false;
     
-    socketToUserMap[socket.id] = userId;
-    
-    if (userToSocketMap[userId]) {
-        delete socketToUserMap[userToSocketMap[userId]];
+    // Overseas validation
+    if (player.country === "Overseas") {
+        const overseasCount = team.squad.filter(p => p.country === "Overseas").length;
+        if (overseasCount >= room.config.maxOverseasSquad) return false; 
     }
-    userToSocketMap[userId] = socket.id;
-    
+    return true;
+}
+
+function placeBid(roomId, userId, bidAmount) {
     const room = rooms[roomId];
-    if (!room) return socket.emit("error-message", "Room not found");
+    if (!room || !room.auction.biddingOpen || room.auction.paused) return false;
+    if (room.config.auctionFormat === "sealed") return false;
+    
+    const auction = room.auction;
+    const team = room.teams[userId];
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (!canTeamBidOn(room, team, player)) return false;
+    
+    // Validate bid amount against the slab for the current price
+    if (isNaN(bidAmount)) return false;
+    bidAmount = parseFloat(bidAmount.toFixed(2));
+    const minBid = getNextBid(room);
+    if (bidAmount < minBid || bidAmount > team.purse) return false;
+    if (!isOnBidLadder(bidAmount, minBid, room.config.bidSlabs)) return false;
+
+    auction.currentBid = bidAmount;
+    auction.currentBidderId = userId;
+    auction.skippedBy = new Set(); // Reset skips on new bid
+    recordEvent(room, "bid", { teamId: team.id, teamName: team.name, playerId: player.id, playerName: player.name, amount: bidAmount });
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("bid-updated", { 
+        currentBid: auction.currentBid, 
+        bidderId: userId, 
+        bidderName: team.name,
+        nextBid: getNextBid(room),
+        bidStep: getBidStep(room)
+    });
+    startAuctionTimer(roomId);
+    applyProxyBids(roomId);
+    scheduleBotTurn(roomId);
+    return true;
+}
+
+function registerSkip(roomId, userId) {
+    const room = rooms[roomId];
+    if (!room || !room.auction.biddingOpen || room.auction.paused) return false;
+    
+    const auction = room.auction;
+    const team = room.teams[userId];
+    
+    if (!team || team.isEliminated || team.isFinishedBidding) return false;
+
+    // Use Set to prevent duplicates
+    if (!auction.skippedBy.has(userId)) {
+        auction.skippedBy.add(userId);
+        const player = auction.playerPool[auction.currentPlayerIndex];
+        recordEvent(room, "skip", { teamId: team.id, teamName: team.name, playerId: player.id, playerName: player.name });
+    }
+
+    // A sealed pass withdraws any bid and may be the last answer the lot waits for
+    if (room.config.auctionFormat === "sealed") {
+        delete auction.sealedBids[userId];
+        emitSealedBidCount(roomId);
+        checkSealedLotComplete(roomId);
+        return true;
+    }
+
+    const teams = Object.values(room.teams);
+    const activeBidders = teams.filter(t => 
+        !t.isEliminated && 
+        !t.isFinishedBidding && 
+        t.squad.length < room.config.maxSquadSize
+    );
+    
+    const requiredSkips = auction.currentBidderId 
+        ? (activeBidders.length - 1) 
+        : activeBidders.length;
+
+    if (auction.skippedBy.size >= requiredSkips && activeBidders.length > 0) {
+        if (auction.timer) {
+            clearInterval(auction.timer);
+            auction.timer = null;
+        }
+        
+        if (auction.currentBidderId) {
+            finishBidding(roomId);
+        } else {
+            finishPlayerUnsold(roomId);
+        }
+    }
+    return true;
+}
+
+function recordNominations(roomId, userId, playerIds) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "AUCTION" || room.auction.round !== "NOMINATION") return false;
+    
+    const auction = room.auction;
+    const team = room.teams[userId];
+    if (!team || team.isEliminated || team.isFinishedBidding) return false;
+    if (!Array.isArray(playerIds)) return false;
+    
+    const unsoldIds = new Set(auction.unsoldPlayers.map(p => p.id));
+    auction.nominations[userId] = [...new Set(playerIds.map(String))].filter(id => unsoldIds.has(id));
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    
+    const eligibleTeams = Object.values(room.teams).filter(t => 
+        !t.isEliminated && 
+        !t.isFinishedBidding && 
+        t.squad.length < room.config.maxSquadSize
+    );
+    const submitted = eligibleTeams.filter(t => auction.nominations[t.id]).length;
+    io.to(roomId).emit("nominations-updated", { submitted, total: eligibleTeams.length });
+    
+    // Everyone has had their say, no need to wait out the window
+    if (submitted >= eligibleTeams.length) {
+        if (room.nextPlayerTimeout) {
+            clearTimeout(room.nextPlayerTimeout);
+            room.nextPlayerTimeout = null;
+        }
+        beginAcceleratedLots(roomId);
+    }
+    return true;
+}
+
+const isBowlingOption = p => p.role === "Bowler" || p.role === "All-Rounder";
+
+// The room's XI rules, relaxed to what this squad can field within the
+// overseas limit, so a team short of keepers or bowlers can still submit
+function getXiRequirements(room, team) {
+    const size = Math.min(PLAYING_11_SIZE, team.squad.length);
+    const usable = test => {
+        const matching = team.squad.filter(test);
+        const overseas = matching.filter(p => p.country === "Overseas").length;
+        return matching.length - overseas + Math.min(overseas, room.config.maxOverseasP11);
+    };
+    return {
+        size,
+        minWicketkeepers: Math.min(room.config.minWicketkeepers, usable(p => p.role === "Wicketkeeper")),
+        minBowlingOptions: Math.min(room.config.minBowlingOptions, usable(isBowlingOption)),
+        maxBatsmen: Math.max(room.config.maxBatsmen, size - usable(p => p.role !== "Batsman"))
+    };
+}
+
+// Returns a message for the first composition rule the XI breaks, or null
+function checkXiComposition(req, players) {
+    const keepers = players.filter(p => p.role === "Wicketkeeper").length;
+    const bowling = players.filter(isBowlingOption).length;
+    const batsmen = players.filter(p => p.role === "Batsman").length;
+    if (keepers < req.minWicketkeepers) {
+        return `Your XI needs at least ${req.minWicketkeepers} wicketkeeper${req.minWicketkeepers === 1 ? "" : "s"} (has ${keepers})`;
+    }
+    if (bowling < req.minBowlingOptions) {
+        return `Your XI needs at least ${req.minBowlingOptions} bowling options, Bowlers or All-Rounders (has ${bowling})`;
+    }
+    if (batsmen > req.maxBatsmen) {
+        return `Your XI can have at most ${req.maxBatsmen} pure batsmen (has ${batsmen})`;
+    }
+    return null;
+}
+
+// Checks the bench and impact player named alongside an XI. Returns
+// { bench, impact } or { error }. Squads too small for a full bench name
+// whoever is left; without a legal swap there is no impact player.
+function validateBench(room, team, xi, { benchIds, impactId, replacesId } = {}) {
+    const spare = team.squad.filter(p => !xi.includes(p));
+    const benchSize = Math.min(BENCH_SIZE, spare.length);
+    if (!Array.isArray(benchIds) || benchIds.length !== benchSize) {
+        return { error: `Name exactly ${benchSize} substitute${benchSize === 1 ? "" : "s"} for the bench` };
+    }
+    const bench = [...new Set(benchIds)].map(id => spare.find(p => p.id === id)).filter(Boolean);
+    if (bench.length !== benchSize) return { error: "Substitutes must be different squad players outside your XI" };
+
+    // Counted for the eleven who finish the match, after the swap
+    const overseasAfter = (sub, out) => xi.filter(p => p !== out && p.country === "Overseas").length + (sub.country === "Overseas" ? 1 : 0);
+    const legal = (sub, out) => overseasAfter(sub, out) <= room.config.maxOverseasP11;
+    // Only an all-overseas bench against a full overseas quota can leave no legal swap
+    if (!bench.some(sub => xi.some(out => legal(sub, out)))) return { bench, impact: null };
+
+    const player = bench.find(p => p.id === impactId);
+    if (!player) return { error: "Pick your impact player from the bench" };
+    const replaced = xi.find(p => p.id === replacesId);
+    if (!replaced) return { error: "Choose which XI player the impact player replaces" };
+    if (!legal(player, replaced)) {
+        return { error: `Bringing on ${player.name} for ${replaced.name} would put ${overseasAfter(player, replaced)} overseas players on the field (max ${room.config.maxOverseasP11})` };
+    }
+    return { bench, impact: { playerId: player.id, replacesId: replaced.id } };
+}
+
+// playerIds arrive in batting order, subs is { benchIds, impactId, replacesId }.
+// Returns {} or { error }.
+function submitPlaying11(roomId, userId, playerIds, cId, vcId, subs) {
+    const room = rooms[roomId];
+    if (!room) return { error: "Room not found" };
+    
+    if (room.auction.phase !== "SELECTION") return { error: "Playing XIs are not being picked right now" };
+    
+    const team = room.teams[userId];
+    if (!team || team.isEliminated) return { error: "Only teams in the game can submit an XI" };
+    
+    const req = getXiRequirements(room, team);
+    
+    if (!Array.isArray(playerIds) || playerIds.length !== req.size) {
+        return { error: `Pick exactly ${req.size} players` };
+    }
+    
+    const selectedPlayers = [...new Set(playerIds)]
+        .map(id => team.squad.find(p => p.id === id))
+        .filter(Boolean);
+    if (selectedPlayers.length !== req.size) return { error: "Every pick must be a different player from your squad" };
+    
+    const overseasInP11 = selectedPlayers.filter(p => p.country === "Overseas").length;
+    if (overseasInP11 > room.config.maxOverseasP11) {
+        return { error: `Your XI can have at most ${room.config.maxOverseasP11} overseas players (has ${overseasInP11})` };
+    }
+    
+    const compositionError = checkXiComposition(req, selectedPlayers);
+    if (compositionError) return { error: compositionError };
+    
+    const captain = selectedPlayers.find(p => p.id === cId);
+    const viceCaptain = selectedPlayers.find(p => p.id === vcId);
+    
+    if (!captain || !viceCaptain) return { error: "Captain and vice-captain must both be in your XI" };
+    if (cId === vcId) return { error: "Captain & Vice-Captain must be different" };
+    
+    const { bench, impact, error } = validateBench(room, team, selectedPlayers, subs);
+    if (error) return { error };
+
+    // The match engine decides the result, see calculateWinner
+    team.submitted11 = true;
+    team.playing11 = selectedPlayers;
+    team.captainId = captain.id;
+    team.viceCaptainId = viceCaptain.id;
+    team.bench = bench;
+    team.impact = impact;
+    recordEvent(room, "xi-submitted", { 
+        teamId: team.id, 
+        teamName: team.name, 
+        playerIds: selectedPlayers.map(p => p.id), 
+        captainId: captain.id, 
+        viceCaptainId: viceCaptain.id,
+        benchIds: bench.map(p => p.id),
+        impact
+    });
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+
+    const activeTeams = Object.values(room.teams).filter(t => !t.isEliminated);
+    const allSubmitted = activeTeams.every(t => t.submitted11);
+
+    if(allSubmitted) {
+        calculateWinner(roomId);
+    } else {
+        io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    }
+    return {};
+}
+
+// --- PROXY BIDS ---
+// A team can leave a ceiling on the current lot or on players still to come.
+// Ceilings live in auction.proxyBids[userId][playerId], away from room.teams,
+// because teams are broadcast and nobody else may see them.
+function getProxyBidList(room, userId) {
+    const ceilings = room.auction.proxyBids[userId] || {};
+    return Object.entries(ceilings).map(([playerId, maxPrice]) => {
+        const player = room.auction.playerPool.find(p => p.id === playerId);
+        return { playerId, playerName: player ? player.name : playerId, maxPrice };
+    });
+}
+
+function emitProxyBids(roomId, userId) {
+    const socketId = userToSocketMap[userId];
+    if (socketId) io.to(socketId).emit("proxy-bids", getProxyBidList(rooms[roomId], userId));
+}
+
+function removeProxyBid(roomId, userId, playerId) {
+    const ceilings = rooms[roomId].auction.proxyBids[userId];
+    if (!ceilings || ceilings[playerId] === undefined) return;
+    delete ceilings[playerId];
+    if (Object.keys(ceilings).length === 0) delete rooms[roomId].auction.proxyBids[userId];
+    emitProxyBids(roomId, userId);
+}
+
+function clearProxyBidsForPlayer(roomId, playerId) {
+    Object.keys(rooms[roomId].auction.proxyBids).forEach(userId => removeProxyBid(roomId, userId, playerId));
+}
+
+// Raises for every team whose ceiling covers the next bid until only one is
+// left or nobody can go higher. placeBid calls back in here, the flag stops
+// that from nesting a bidding war into deep recursion.
+function applyProxyBids(roomId) {
+    const room = rooms[roomId];
+    if (!room || room.applyingProxyBids) return;
+    const auction = room.auction;
+    if (!auction.biddingOpen || auction.paused || room.config.auctionFormat === "sealed") return;
+    const player = auction.playerPool[auction.currentPlayerIndex];
+
+    room.applyingProxyBids = true;
+    try {
+        for (;;) {
+            const nextBid = getNextBid(room);
+            // Highest ceiling first, so a higher proxy is never outpaced by a lower one
+            const candidates = Object.keys(auction.proxyBids)
+                .filter(userId => userId !== auction.currentBidderId && room.teams[userId])
+                .map(userId => ({ userId, maxPrice: auction.proxyBids[userId][player.id] }))
+                .filter(c => c.maxPrice !== undefined && c.maxPrice >= nextBid)
+                .sort((a, b) => b.maxPrice - a.maxPrice);
+            if (candidates.length === 0) break;
+
+            const { userId } = candidates[0];
+            if (!placeBid(roomId, userId, nextBid)) {
+                // Purse, squad or overseas limits got in the way, the ceiling can't be used
+                removeProxyBid(roomId, userId, player.id);
+            }
+        }
+    } finally {
+        room.applyingProxyBids = false;
+    }
+
+    // Ceilings the price has now passed are spent
+    Object.keys(auction.proxyBids).forEach(userId => {
+        const maxPrice = auction.proxyBids[userId][player.id];
+        if (maxPrice !== undefined && userId !== auction.currentBidderId && maxPrice < getNextBid(room)) {
+            removeProxyBid(roomId, userId, player.id);
+        }
+    });
+}
+
+// --- SEALED BIDS ---
+// In a sealed lot every team sends one hidden bid (a resubmission replaces it).
+// Amounts stay off the event log and the API until the lot closes.
+function emitSealedBidCount(roomId) {
+    const room = rooms[roomId];
+    io.to(roomId).emit("sealed-bids-updated", {
+        submitted: Object.keys(room.auction.sealedBids).length,
+        total: getSealedBidders(room).length
+    });
+}
+
+function getSealedBidders(room) {
+    return Object.values(room.teams).filter(t => 
+        !t.isEliminated && 
+        !t.isFinishedBidding && 
+        t.squad.length < room.config.maxSquadSize
+    );
+}
+
+function submitSealedBid(roomId, userId, amount) {
+    const room = rooms[roomId];
+    if (!room || !room.auction.biddingOpen || room.auction.paused) return false;
+    if (room.config.auctionFormat !== "sealed") return false;
+
+    const auction = room.auction;
+    const team = room.teams[userId];
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (!canTeamBidOn(room, team, player)) return false;
+
+    if (isNaN(amount)) return false;
+    amount = parseFloat(amount.toFixed(2));
+    if (amount < player.basePrice || amount > team.purse) return false;
+
+    // The latest submission decides ties, so resubmitting gives up a team's place
+    auction.sealedSeq += 1;
+    auction.sealedBids[userId] = { amount, seq: auction.sealedSeq };
+    auction.skippedBy.delete(userId);
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    const socketId = userToSocketMap[userId];
+    if (socketId) io.to(socketId).emit("sealed-bid-accepted", { amount });
+    emitSealedBidCount(roomId);
+    checkSealedLotComplete(roomId);
+    return true;
+}
+
+// Closes early once every team that can still bid has bid or passed
+function checkSealedLotComplete(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    if (!auction.biddingOpen) return;
+    const bidders = getSealedBidders(room);
+    const answered = bidders.filter(t => auction.sealedBids[t.id] || auction.skippedBy.has(t.id));
+    if (bidders.length > 0 && answered.length >= bidders.length) closeSealedLot(roomId);
+}
+
+// Highest amount wins, an equal amount submitted earlier beats a later one
+function rankSealedBids(room) {
+    return Object.entries(room.auction.sealedBids)
+        .filter(([userId]) => room.teams[userId])
+        .map(([userId, bid]) => ({ userId, ...bid }))
+        .sort((a, b) => b.amount - a.amount || a.seq - b.seq);
+}
+
+function closeSealedLot(roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.auction.biddingOpen) return;
+    const auction = room.auction;
+    if (auction.timer) {
+        clearInterval(auction.timer);
+        auction.timer = null;
+    }
+
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    const ranked = rankSealedBids(room);
+    const bids = ranked.map(b => ({ teamId: b.userId, teamName: room.teams[b.userId].name, amount: b.amount }));
+    bids.forEach(b => recordEvent(room, "sealed-bid", { ...b, playerId: player.id, playerName: player.name }));
+    io.to(roomId).emit("sealed-bids-revealed", { playerId: player.id, pricing: room.config.sealedPricing, bids });
+    auction.sealedBids = {};
+
+    if (ranked.length === 0) {
+        finishPlayerUnsold(roomId);
+        return;
+    }
+    const [winner, runnerUp] = ranked;
+    auction.currentBidderId = winner.userId;
+    if (room.config.sealedPricing === "first") {
+        auction.currentBid = winner.amount;
+    } else {
+        auction.currentBid = runnerUp ? runnerUp.amount : player.basePrice;
+    }
+    finishBidding(roomId);
+}
+
+// --- SNAKE DRAFT ---
+// Teams take turns picking from the pool, the order reversing every round.
+// Purses are never touched, squad size and overseas limits still apply.
+function getDraftPool(room) {
+    const taken = new Set(room.auction.draft.taken);
+    return room.auction.playerPool.filter(p => p.id !== "error_0" && !taken.has(p.id));
+}
+
+// Team whose turn overall pick `pick` is, from the snake order
+function getDraftTeamId(draft, pick) {
+    const n = draft.order.length;
+    const round = Math.floor(pick / n);
+    const pos = pick % n;
+    return draft.order[round % 2 === 0 ? pos : n - 1 - pos];
+}
+
+function getDraftPayload(room) {
+    const draft = room.auction.draft;
+    const onClock = room.teams[draft.onClock];
+    return {
+        order: draft.order.filter(id => room.teams[id]).map(id => ({ id, name: room.teams[id].name })),
+        pick: draft.pick + 1,
+        round: Math.floor(draft.pick / Math.max(1, draft.order.length)) + 1,
+        onClock: draft.onClock,
+        onClockName: onClock ? onClock.name : null,
+        timeLeft: room.auction.timeLeft,
+        available: getDraftPool(room).map(p => ({ 
+            id: p.id, name: p.name, role: p.role, country: p.country, status: p.status, rating: p.rating, img: p.img 
+        }))
+    };
+}
+
+function startDraft(roomId) {
+    const room = rooms[roomId];
+    const order = shuffleArray(Object.keys(room.teams));
+    room.auction.draft = { order, pick: 0, onClock: null, taken: [] };
+    setPhase(room, "DRAFT");
+    recordEvent(room, "draft-order", { order: order.map(id => room.teams[id].name) });
+    openNextPick(roomId);
+}
+
+// Moves the clock to the next team that can still pick, or ends the draft
+function openNextPick(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const draft = auction.draft;
+    if (auction.timer) {
+        clearInterval(auction.timer);
+        auction.timer = null;
+    }
+
+    const pool = getDraftPool(room);
+    draft.onClock = null;
+    // A full pass over the order with nobody able to pick means everyone is done
+    for (let tries = 0; tries < draft.order.length; tries++) {
+        const team = room.teams[getDraftTeamId(draft, draft.pick)];
+        if (team && pool.some(p => canTeamBidOn(room, team, p))) {
+            draft.onClock = team.id;
+            break;
+        }
+        draft.pick++;
+    }
+    if (!draft.onClock) {
+        endAuctionPhase(roomId);
+        return;
+    }
+
+    auction.timeLeft = room.config.bidTimer;
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("draft-turn", getDraftPayload(room));
+    if (!auction.paused) {
+        startDraftTimer(roomId);
+        scheduleBotPick(roomId);
+    }
+}
+
+function startDraftTimer(roomId) {
+    const auction = rooms[roomId].auction;
+    if (auction.timer) clearInterval(auction.timer);
+    auction.timer = setInterval(() => {
+        auction.timeLeft--;
+        io.to(roomId).emit("timer-update", auction.timeLeft);
+        if (auction.timeLeft <= 0) {
+            clearInterval(auction.timer);
+            auction.timer = null;
+            autoDraftPick(roomId, true);
+        }
+    }, 1000);
+}
+
+function makeDraftPick(roomId, userId, playerId, auto = false) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "DRAFT" || room.auction.paused) return false;
+    const draft = room.auction.draft;
+    if (draft.onClock !== userId) return false;
+
+    const team = room.teams[userId];
+    const player = getDraftPool(room).find(p => p.id === playerId);
+    if (!player || !canTeamBidOn(room, team, player)) return false;
+
+    const pick = draft.pick + 1;
+    team.squad.push({ ...player, soldPrice: 0, draftPick: pick });
+    draft.taken.push(player.id);
+    draft.pick++;
+    retireBotIfDone(room, team);
+    recordEvent(room, "draft-pick", { teamId: team.id, teamName: team.name, playerId: player.id, playerName: player.name, pick, auto });
+
+    io.to(roomId).emit("draft-pick-made", { pick, teamId: team.id, teamName: team.name, player, auto });
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    openNextPick(roomId);
+    return true;
+}
+
+// Timer fallback and bot pick: the best-rated player the team is allowed to take.
+// Only a pick forced by the clock is flagged auto; a bot choosing in time is a normal pick.
+function autoDraftPick(roomId, auto = false) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "DRAFT") return;
+    const draft = room.auction.draft;
+    const team = room.teams[draft.onClock];
+    const best = team && getDraftPool(room)
+        .filter(p => canTeamBidOn(room, team, p))
+        .sort((a, b) => b.rating - a.rating)[0];
+    if (best) {
+        makeDraftPick(roomId, team.id, best.id, auto);
+    } else {
+        if (team) recordEvent(room, "draft-skip", { teamId: team.id, teamName: team.name, pick: draft.pick + 1 });
+        draft.pick++;
+        openNextPick(roomId);
+    }
+}
+
+function scheduleBotPick(roomId) {
+    const room = rooms[roomId];
+    if (room.botTimeout) {
+        clearTimeout(room.botTimeout);
+        room.botTimeout = null;
+    }
+    const team = room.teams[room.auction.draft.onClock];
+    if (!team || !team.isBot) return;
+
+    const [minMs, maxMs] = BOT_DIFFICULTIES[team.botProfile.difficulty].thinkMs;
+    const delay = Math.min(minMs + Math.random() * (maxMs - minMs), room.config.bidTimer * 500);
+    const pick = room.auction.draft.pick;
+    room.botTimeout = setTimeout(() => {
+        room.botTimeout = null;
+        if (rooms[roomId] && room.auction.phase === "DRAFT" && !room.auction.paused && room.auction.draft.pick === pick) {
+            autoDraftPick(roomId);
+        }
+    }, delay);
+}
+
+function resumeDraft(roomId) {
+    const room = rooms[roomId];
+    if (!room.auction.draft.onClock) {
+        openNextPick(roomId);
+        return;
+    }
+    startDraftTimer(roomId);
+    scheduleBotPick(roomId);
+}
+
+// --- SEASONS ---
+// A finished room can roll over into a new season. Teams keep their names and
+// may retain some of last season's squad at fixed prices, the rest go back into
+// the pool tagged with their former team, which holds Right-to-Match cards.
+function getRetentionCost(room, slot) {
+    return parseFloat((room.config.startingPurse * RETENTION_SLABS[slot]).toFixed(2));
+}
+
+// Strips everything one season's auction added to a player
+function toPoolPlayer({ soldPrice, set, originalBasePrice, formerTeamId, retained, draftPick, ...player }) {
+    return { ...player, basePrice: originalBasePrice || player.basePrice };
+}
+
+function rolloverSeason(roomId) {
+    const room = rooms[roomId];
+    room.seasonHistory.push({
+        season: room.season,
+        rankings: getRankedTeams(room).map((t, i) => ({ teamId: t.id, teamName: t.name, rank: i + 1, points: t.totalScore }))
+    });
+    room.season += 1;
+
+    const players = room.auction.playerPool
+        .filter(p => p.id !== "error_0")
+        .map(toPoolPlayer);
+
+    Object.values(room.teams).forEach(team => {
+        team.previousSquad = team.squad.map(toPoolPlayer);
+        team.retentions = [];
+        team.squad = [];
+        team.purse = room.config.startingPurse;
+        team.isEliminated = false;
+        team.isFinishedBidding = false;
+        team.submitted11 = false;
+        team.playing11 = [];
+        team.captainId = null;
+        team.viceCaptainId = null;
+        team.bench = [];
+        team.impact = null;
+        team.totalScore = 0;
+        team.rtmCardsLeft = 0;
+        if (team.isBot) team.retentions = pickBotRetentions(room, team);
+    });
+
+    room.auction = createAuctionState(players.length > 0 ? buildAuctionSets(players) : getEmptyPoolPlaceholder(), room.config);
+    room.tournament = null;
+    room.results = null;
+    room.matchSeed = crypto.randomBytes(8).toString("hex");
+    setPhase(room, "LOBBY");
+    recordEvent(room, "season", { season: room.season });
+}
+
+// Checks a team's retention list. Returns { playerIds } or { error }.
+function validateRetentions(room, team, playerIds) {
+    if (!Array.isArray(playerIds)) return { error: "Send the players to retain as a list" };
+    const ids = [...new Set(playerIds.map(String))];
+    const previous = team.previousSquad || [];
+    if (ids.length > room.config.maxRetentions) {
+        return { error: `You can retain at most ${room.config.maxRetentions} players` };
+    }
+    const retained = ids.map(id => previous.find(p => p.id === id));
+    if (retained.some(p => !p)) return { error: "You can only retain players from last season's squad" };
+    if (retained.filter(p => p.country === "Overseas").length > room.config.maxOverseasSquad) {
+        return { error: `You can retain at most ${room.config.maxOverseasSquad} overseas players` };
+    }
+    if (ids.length > room.config.maxSquadSize) return { error: "That is more than a full squad" };
+    return { playerIds: ids };
+}
+
+// Moves the retained players into the squads, charges their slab prices and
+// tags everyone else's former players for Right-to-Match
+function applyRetentions(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const retainedIds = new Set();
+
+    Object.values(room.teams).forEach(team => {
+        team.rtmCardsLeft = room.config.rtmCards;
+        (team.retentions || []).slice(0, room.config.maxRetentions).forEach((playerId, slot) => {
+            const player = auction.playerPool.find(p => p.id === playerId);
+            if (!player) return;
+            const price = room.config.auctionFormat === "draft" ? 0 : getRetentionCost(room, slot);
+            team.purse = parseFloat((team.purse - price).toFixed(2));
+            team.squad.push({ ...player, soldPrice: price, retained: true });
+            retainedIds.add(playerId);
+            recordEvent(room, "retained", { teamId: team.id, teamName: team.name, playerId, playerName: player.name, amount: price });
+        });
+    });
+
+    const formerTeams = {};
+    Object.values(room.teams).forEach(team => {
+        (team.previousSquad || []).forEach(p => { formerTeams[p.id] = team.id; });
+    });
+    auction.playerPool = auction.playerPool
+        .filter(p => !retainedIds.has(p.id))
+        .map(p => (formerTeams[p.id] ? { ...p, formerTeamId: formerTeams[p.id] } : p));
+    if (auction.playerPool.length === 0) auction.playerPool = getEmptyPoolPlaceholder();
+}
+
+// Bots keep their stars, best first
+function pickBotRetentions(room, team) {
+    return team.previousSquad
+        .filter(p => p.rating >= BOT_RETAIN_MIN_RATING)
+        .sort((a, b) => b.rating - a.rating)
+        .filter((p, i, list) => p.country !== "Overseas" || 
+            list.slice(0, i).filter(q => q.country === "Overseas").length < room.config.maxOverseasSquad)
+        .slice(0, room.config.maxRetentions)
+        .map(p => p.id);
+}
+
+// --- RIGHT TO MATCH ---
+// Holds a sale while the player's former team decides whether to match the
+// price. Returns true when an offer was opened, finishBidding resumes later.
+function offerRtm(roomId, player, winner, price) {
+    const room = rooms[roomId];
+    const former = room.teams[player.formerTeamId];
+    if (!former || former.id === winner.id || !(former.rtmCardsLeft > 0)) return false;
+    if (!canTeamBidOn(room, former, player) || price > former.purse) return false;
+
+    room.auction.rtm = { 
+        teamId: former.id, 
+        winnerId: winner.id, 
+        playerId: player.id, 
+        price, 
+        endsAt: Date.now() + room.config.rtmWindow * 1000 
+    };
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("rtm-pending", getRtmPayload(room));
+    scheduleRtmClose(roomId);
+
+    if (former.isBot) {
+        const wantsPlayer = getBotCeiling(room, former, player) >= price;
+        const delay = Math.min(1500, room.config.rtmWindow * 500);
+        if (room.botTimeout) clearTimeout(room.botTimeout);
+        room.botTimeout = setTimeout(() => {
+            room.botTimeout = null;
+            if (rooms[roomId] && room.auction.rtm && room.auction.rtm.playerId === player.id) resolveRtm(roomId, wantsPlayer);
+        }, delay);
+    }
+    return true;
+}
+
+function getRoomTeamName(room, teamId) {
+    return room.teams[teamId] ? room.teams[teamId].name : "Unknown";
+}
+
+function getRtmPayload(room) {
+    const rtm = room.auction.rtm;
+    const player = room.auction.playerPool[room.auction.currentPlayerIndex];
+    return {
+        player,
+        price: rtm.price,
+        teamId: rtm.teamId,
+        teamName: getRoomTeamName(room, rtm.teamId),
+        winnerId: rtm.winnerId,
+        winnerName: getRoomTeamName(room, rtm.winnerId),
+        seconds: Math.max(0, Math.ceil((rtm.endsAt - Date.now()) / 1000))
+    };
+}
+
+// An unanswered offer lapses and the sale goes through
+function scheduleRtmClose(roomId) {
+    const room = rooms[roomId];
+    if (room.rtmTimeout) clearTimeout(room.rtmTimeout);
+    const playerId = room.auction.rtm.playerId;
+    room.rtmTimeout = setTimeout(() => {
+        room.rtmTimeout = null;
+        if (rooms[roomId] && room.auction.rtm && room.auction.rtm.playerId === playerId) resolveRtm(roomId, false);
+    }, Math.max(0, room.auction.rtm.endsAt - Date.now()));
+}
+
+function resolveRtm(roomId, useCard) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const rtm = auction.rtm;
+    if (!rtm) return false;
+    if (room.rtmTimeout) {
+        clearTimeout(room.rtmTimeout);
+        room.rtmTimeout = null;
+    }
+
+    const former = room.teams[rtm.teamId];
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    const matched = !!useCard && !!former && canTeamBidOn(room, former, player) && rtm.price <= former.purse;
+    if (matched) {
+        former.rtmCardsLeft -= 1;
+        auction.currentBidderId = former.id;
+    }
+    auction.rtm = null;
+    recordEvent(room, "rtm", { teamId: rtm.teamId, teamName: getRoomTeamName(room, rtm.teamId), playerId: player.id, playerName: player.name, amount: rtm.price, matched });
+    io.to(roomId).emit("rtm-resolved", { playerId: player.id, matched, teamName: getRoomTeamName(room, rtm.teamId) });
+    finishBidding(roomId, true);
+    // Undoing a matched sale hands the card back
+    if (matched && auction.lastSale && auction.lastSale.playerId === player.id) auction.lastSale.rtm = true;
+    return true;
+}
+
+// --- TRADES ---
+// Optional window after the auction where teams swap players, with cash on
+// either side. Offers are private to the two teams, completed trades are public.
+// `cash` is what the proposer pays on top, negative when they ask for money.
+function normalizeTradeTerms({ give, get, cash }) {
+    const ids = list => Array.isArray(list) ? [...new Set(list.map(id => sanitizeInput(String(id), 50)))] : [];
+    const amount = parseFloat(parseFloat(cash || 0).toFixed(2));
+    return { give: ids(give), get: ids(get), cash: Number.isFinite(amount) ? amount : NaN };
+}
+
+// Why the trade can't go ahead right now, or null
+function checkTrade(room, offer) {
+    const from = room.teams[offer.fromId];
+    const to = room.teams[offer.toId];
+    if (!from || !to) return "That team is no longer in the room";
+    if (from.id === to.id) return "You can't trade with yourself";
+    if (from.isEliminated || to.isEliminated) return "Eliminated teams can't trade";
+    if (isNaN(offer.cash)) return "The cash amount must be a number";
+    if (offer.give.length === 0 && offer.get.length === 0) return "A trade has to move at least one player";
+
+    const giving = offer.give.map(id => from.squad.find(p => p.id === id));
+    const getting = offer.get.map(id => to.squad.find(p => p.id === id));
+    if (giving.some(p => !p)) return `${from.name} no longer has every player offered`;
+    if (getting.some(p => !p)) return `${to.name} no longer has every player asked for`;
+
+    for (const [team, out, incoming] of [[from, giving, getting], [to, getting, giving]]) {
+        const size = team.squad.length - out.length + incoming.length;
+        if (size > room.config.maxSquadSize) return `${team.name} would have more than ${room.config.maxSquadSize} players`;
+        if (size < Math.min(room.config.minSquadToPlay, team.squad.length)) {
+            return `${team.name} would drop below ${room.config.minSquadToPlay} players`;
+        }
+        const overseas = team.squad.filter(p => p.country === "Overseas").length - 
+            out.filter(p => p.country === "Overseas").length + 
+            incoming.filter(p => p.country === "Overseas").length;
+        if (overseas > room.config.maxOverseasSquad) {
+            return `${team.name} would have more than ${room.config.maxOverseasSquad} overseas players`;
+        }
+    }
+    if (from.purse - offer.cash < 0) return `${from.name} can't afford ₹${offer.cash}`;
+    if (to.purse + offer.cash < 0) return `${to.name} can't afford ₹${-offer.cash}`;
+    return null;
+}
+
+function getTradeOffersFor(room, teamId) {
+    const trades = room.auction.trades;
+    return trades ? trades.offers.filter(o => o.fromId === teamId || o.toId === teamId) : [];
+}
+
+function emitTradeOffers(roomId, teamId) {
+    const socketId = userToSocketMap[teamId];
+    if (socketId) io.to(socketId).emit("trade-offers", getTradeOffersFor(rooms[roomId], teamId));
+}
+
+function getTradeWindowPayload(room) {
+    const endsAt = room.auction.trades.endsAt;
+    return { endsAt, seconds: Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)) };
+}
+
+function openTradeWindow(roomId) {
+    const room = rooms[roomId];
+    room.auction.trades = { endsAt: Date.now() + room.config.tradeWindow * 1000, offers: [], seq: 0 };
+    setPhase(room, "TRADE");
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("trade-window-opened", getTradeWindowPayload(room));
+    scheduleTradeClose(roomId);
+}
+
+function scheduleTradeClose(roomId) {
+    const room = rooms[roomId];
+    if (room.tradeTimeout) clearTimeout(room.tradeTimeout);
+    room.tradeTimeout = setTimeout(() => {
+        room.tradeTimeout = null;
+        if (rooms[roomId] && room.auction.phase === "TRADE") closeTradeWindow(roomId);
+    }, Math.max(0, room.auction.trades.endsAt - Date.now()));
+}
+
+function closeTradeWindow(roomId) {
+    const room = rooms[roomId];
+    if (room.tradeTimeout) {
+        clearTimeout(room.tradeTimeout);
+        room.tradeTimeout = null;
+    }
+    clearBotTradeReplies(room);
+    const touched = new Set();
+    room.auction.trades.offers.forEach(o => {
+        if (o.status !== "open") return;
+        o.status = "expired";
+        touched.add(o.fromId);
+        touched.add(o.toId);
+    });
+    touched.forEach(teamId => emitTradeOffers(roomId, teamId));
+    startSelectionPhase(roomId);
+}
+
+// Returns { offer } or { error }
+function proposeTrade(roomId, fromId, toId, terms, counterOf = null) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "TRADE") return { error: "The trade window is closed" };
+    const trades = room.auction.trades;
+    const openCount = trades.offers.filter(o => o.fromId === fromId && o.status === "open").length;
+    if (openCount >= MAX_OPEN_TRADES_PER_TEAM) {
+        return { error: `You can have at most ${MAX_OPEN_TRADES_PER_TEAM} open offers` };
+    }
+
+    trades.seq += 1;
+    const offer = { id: `trade_${trades.seq}`, fromId, toId, ...normalizeTradeTerms(terms), status: "open", counterOf, createdAt: Date.now() };
+    const error = checkTrade(room, offer);
+    if (error) return { error };
+
+    trades.offers.push(offer);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTradeOffers(roomId, fromId);
+    emitTradeOffers(roomId, toId);
+    if (room.teams[toId].isBot) scheduleBotTradeReply(roomId, offer.id);
+    return { offer };
+}
+
+function findOpenOffer(room, offerId) {
+    const trades = room.auction.trades;
+    return trades && trades.offers.find(o => o.id === offerId && o.status === "open");
+}
+
+// The counterparty accepts or rejects, the proposer can withdraw. Returns { offer } or { error }.
+function respondToTrade(roomId, userId, offerId, action) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "TRADE") return { error: "The trade window is closed" };
+    const offer = findOpenOffer(room, offerId);
+    if (!offer) return { error: "That offer is no longer open" };
+
+    if (action === "withdraw") {
+        if (offer.fromId !== userId) return { error: "Only the team that made the offer can withdraw it" };
+        offer.status = "withdrawn";
+    } else if (action === "reject") {
+        if (offer.toId !== userId) return { error: "Only the team receiving the offer can reject it" };
+        offer.status = "rejected";
+    } else if (action === "accept") {
+        if (offer.toId !== userId) return { error: "Only the team receiving the offer can accept it" };
+        const error = checkTrade(room, offer);
+        if (error) return { error };
+        executeTrade(roomId, offer);
+    } else {
+        return { error: "Unknown trade action" };
+    }
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTradeOffers(roomId, offer.fromId);
+    emitTradeOffers(roomId, offer.toId);
+    return { offer };
+}
+
+function executeTrade(roomId, offer) {
+    const room = rooms[roomId];
+    const from = room.teams[offer.fromId];
+    const to = room.teams[offer.toId];
+    const take = (team, ids) => ids.map(id => team.squad.splice(team.squad.findIndex(p => p.id === id), 1)[0]);
+    const giving = take(from, offer.give);
+    const getting = take(to, offer.get);
+    from.squad.push(...getting);
+    to.squad.push(...giving);
+    from.purse = parseFloat((from.purse - offer.cash).toFixed(2));
+    to.purse = parseFloat((to.purse + offer.cash).toFixed(2));
+    offer.status = "accepted";
+
+    const summary = {
+        fromId: from.id, fromName: from.name, toId: to.id, toName: to.name,
+        gave: giving.map(p => p.name), got: getting.map(p => p.name), cash: offer.cash
+    };
+    recordEvent(room, "trade", summary);
+    io.to(roomId).emit("trade-completed", summary);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+
+    // Other offers built on the players that just moved can't go through any more
+    room.auction.trades.offers.forEach(o => {
+        if (o.status === "open" && checkTrade(room, o)) {
+            o.status = "void";
+            emitTradeOffers(roomId, o.fromId);
+            emitTradeOffers(roomId, o.toId);
+        }
+    });
+}
+
+function voidTradesFor(roomId, teamId) {
+    const room = rooms[roomId];
+    const trades = room.auction.trades;
+    if (!trades) return;
+    trades.offers.forEach(o => {
+        if (o.status === "open" && (o.fromId === teamId || o.toId === teamId)) {
+            o.status = "void";
+            emitTradeOffers(roomId, o.fromId === teamId ? o.toId : o.fromId);
+        }
+    });
+}
+
+// Bots take any deal that gains them rating, counting cash at a fixed rate
+// Replies are keyed by offer, a bot can have several offers waiting on it
+function scheduleBotTradeReply(roomId, offerId) {
+    const room = rooms[roomId];
+    room.botTradeTimeouts[offerId] = setTimeout(() => {
+        delete room.botTradeTimeouts[offerId];
+        if (rooms[roomId] !== room || room.auction.phase !== "TRADE") return;
+        const offer = findOpenOffer(room, offerId);
+        if (!offer) return;
+        const from = room.teams[offer.fromId];
+        const bot = room.teams[offer.toId];
+        const rating = (team, ids) => ids.reduce((sum, id) => sum + ((team.squad.find(p => p.id === id) || {}).rating || 0), 0);
+        const value = rating(from, offer.give) - rating(bot, offer.get) + offer.cash * BOT_TRADE_RATING_PER_CRORE;
+        respondToTrade(roomId, bot.id, offerId, value > 0 && !checkTrade(room, offer) ? "accept" : "reject");
+    }, 1500);
+}
+
+function clearBotTradeReplies(room) {
+    Object.values(room.botTradeTimeouts).forEach(clearTimeout);
+    room.botTradeTimeouts = {};
+}
+
+// --- BOTS ---
+// Bot franchises are ordinary entries in room.teams flagged with isBot. They act
+// through the same placeBid / registerSkip / submitPlaying11 paths as players.
+function createBotTeam(room, difficulty, personality) {
+    const usedNames = new Set(Object.values(room.teams).map(t => t.name));
+    const name = BOT_TEAM_NAMES.find(n => !usedNames.has(n)) || `Bot ${Object.keys(room.teams).length + 1}`;
+    const id = `bot_${crypto.randomBytes(4).toString("hex")}`;
+    return {
+        id,
+        name,
+        purse: room.config.startingPurse,
+        squad: [],
+        isEliminated: false,
+        isFinishedBidding: false,
+        submitted11: false,
+        totalScore: 0,
+        isBot: true,
+        botProfile: { difficulty, personality }
+    };
+}
+
+function getBotSquadTarget(room, team) {
+    const personality = BOT_PERSONALITIES[team.botProfile.personality];
+    return Math.min(room.config.maxSquadSize, room.config.minSquadToPlay + personality.squadExtra);
+}
+
+// Highest price this bot would pay for the player, already capped by what it
+// must keep aside to complete a playable squad
+function getBotCeiling(room, team, player) {
+    const difficulty = BOT_DIFFICULTIES[team.botProfile.difficulty];
+    const personality = BOT_PERSONALITIES[team.botProfile.personality];
+    const auction = room.auction;
+
+    if (player.country === "Overseas") {
+        const overseasCount = team.squad.filter(p => p.country === "Overseas").length;
+        if (overseasCount >= room.config.maxOverseasSquad) return 0;
+    }
+
+    // A fair share of the purse per squad slot, stars are worth several shares
+    const fairShare = room.config.startingPurse / room.config.minSquadToPlay;
+    const quality = Math.max(0, Math.min(1.25, (player.rating - 50) / 40));
+    let value = player.basePrice + fairShare * 3 * quality * quality;
+    value *= personality.spend;
+
+    if (difficulty.rolePlanning) {
+        const have = team.squad.filter(p => p.role === player.role).length;
+        const want = BOT_ROLE_TARGETS[player.role] || 0;
+        if (have < want) value *= 1.2;
+        else if (have >= want + 2) value *= 0.6;
+    }
+
+    // Same noise for the same bot and player, so a bot doesn't change its mind mid-lot
+    const rng = createRng(`${team.id}:${player.id}`);
+    value *= 1 + (rng() * 2 - 1) * difficulty.noise;
+
+    const remaining = auction.playerPool.slice(auction.currentPlayerIndex + 1);
+    const cheapestLot = remaining.length > 0
+        ? Math.min(...remaining.map(p => p.basePrice))
+        : getMinimumIncrement(room.config.bidSlabs);
+    const slotsStillNeeded = Math.max(0, room.config.minSquadToPlay - team.squad.length - 1);
+    const spendable = team.purse - slotsStillNeeded * cheapestLot;
+
+    return Math.min(value, spendable);
+}
+
+function getActiveBots(room) {
+    return Object.values(room.teams).filter(t => 
+        t.isBot && 
+        !t.isEliminated && 
+        !t.isFinishedBidding && 
+        t.squad.length < room.config.maxSquadSize
+    );
+}
+
+// Called whenever a lot opens or the price moves
+function scheduleBotTurn(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    if (room.botTimeout) {
+        clearTimeout(room.botTimeout);
+        room.botTimeout = null;
+    }
+    const bots = getActiveBots(room);
+    if (!room.auction.biddingOpen || room.auction.paused || bots.length === 0) return;
+
+    // The quickest bot in the room sets the pace, within the lot timer
+    const [minMs, maxMs] = bots
+        .map(b => BOT_DIFFICULTIES[b.botProfile.difficulty].thinkMs)
+        .reduce((a, b) => (a[0] <= b[0] ? a : b));
+    const timerMs = (room.auction.round === "ACCELERATED" ? room.config.acceleratedTimer : room.config.bidTimer) * 1000;
+    const delay = Math.min(minMs + Math.random() * (maxMs - minMs), timerMs / 2);
+
+    const lotIndex = room.auction.currentPlayerIndex;
+    room.botTimeout = setTimeout(() => {
+        room.botTimeout = null;
+        if (rooms[roomId] && room.auction.biddingOpen && !room.auction.paused && room.auction.currentPlayerIndex === lotIndex) {
+            runBotTurn(roomId);
+        }
+    }, delay);
+}
+
+// One bot that wants the player raises, every bot that doesn't skips
+function runBotTurn(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (room.config.auctionFormat === "sealed") {
+        runSealedBotTurn(roomId, player);
+        return;
+    }
+    const nextBid = getNextBid(room);
+
+    const undecided = getActiveBots(room).filter(b => 
+        b.id !== auction.currentBidderId && 
+        !auction.skippedBy.has(b.id)
+    );
+    const bidders = undecided.filter(b => getBotCeiling(room, b, player) >= nextBid);
+    const skippers = undecided.filter(b => !bidders.includes(b));
+
+    if (bidders.length > 0) {
+        const bidder = bidders[Math.floor(Math.random() * bidders.length)];
+        if (!placeBid(roomId, bidder.id, nextBid)) skippers.push(bidder);
+    }
+    for (const bot of skippers) {
+        if (!auction.biddingOpen) break;
+        registerSkip(roomId, bot.id);
+    }
+}
+
+// Every bot answers a sealed lot at once. Under second price bidding the full
+// valuation is safe, under first price bots shade it towards the base price.
+function runSealedBotTurn(roomId, player) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const undecided = getActiveBots(room).filter(b => 
+        !auction.sealedBids[b.id] && 
+        !auction.skippedBy.has(b.id)
+    );
+    for (const bot of undecided) {
+        if (!auction.biddingOpen) break;
+        const ceiling = getBotCeiling(room, bot, player);
+        let amount = ceiling;
+        if (room.config.sealedPricing === "first") {
+            amount = player.basePrice + (ceiling - player.basePrice) * 0.7;
+        }
+        amount = parseFloat(amount.toFixed(2));
+        if (ceiling < player.basePrice || !submitSealedBid(roomId, bot.id, amount)) {
+            registerSkip(roomId, bot.id);
+        }
+    }
+}
+
+// Bots ask for the unsold players they would still buy at the reduced price
+function submitBotNominations(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    const factor = room.config.acceleratedPriceFactor;
+    for (const bot of getActiveBots(room)) {
+        if (room.auction.round !== "NOMINATION") break;
+        const wanted = room.auction.unsoldPlayers
+            .filter(p => getBotCeiling(room, bot, p) >= p.basePrice * factor)
+            .map(p => p.id);
+        recordNominations(roomId, bot.id, wanted);
+    }
+}
+
+// Bots stop bidding once they hold the squad size their personality aims for
+function retireBotIfDone(room, team) {
+    if (team.isBot && !team.isEliminated && team.squad.length >= getBotSquadTarget(room, team)) {
+        team.isFinishedBidding = true;
+    }
+}
+
+// Best XI by effective rating within the overseas limit, filling the
+// keeper and bowling quotas first and staying under the batsmen cap
+// Fallback for when the greedy pick paints itself into a corner: tries every
+// mix of role and overseas counts, best-rated players first within each
+// group, and keeps the highest-rated legal XI. Returns null if there is none.
+function searchLegalXi(room, req, ranked) {
+    const groups = [];
+    ranked.forEach(p => {
+        const role = p.role === "Wicketkeeper" ? "keeper" : isBowlingOption(p) ? "bowling" : "batting";
+        const overseas = p.country === "Overseas";
+        let group = groups.find(g => g.role === role && g.overseas === overseas);
+        if (!group) groups.push(group = { role, overseas, players: [] });
+        group.players.push(p);
+    });
+
+    let best = null;
+    const counts = [];
+    const walk = (i, left, overseasLeft) => {
+        if (i === groups.length) {
+            if (left > 0) return;
+            const xi = groups.flatMap((g, j) => g.players.slice(0, counts[j]));
+            if (checkXiComposition(req, xi)) return;
+            const score = xi.reduce((sum, p) => sum + getEffectiveRating(p), 0);
+            if (!best || score > best.score) best = { score, xi };
+            return;
+        }
+        const g = groups[i];
+        const most = Math.min(g.players.length, left, g.overseas ? overseasLeft : left);
+        for (let n = 0; n <= most; n++) {
+            counts[i] = n;
+            walk(i + 1, left - n, g.overseas ? overseasLeft - n : overseasLeft);
+        }
+    };
+    walk(0, req.size, room.config.maxOverseasP11);
+    return best && best.xi;
+}
+
+function pickBotPlaying11(room, team) {
+    const req = getXiRequirements(room, team);
+    const ranked = [...team.squad].sort((a, b) => getEffectiveRating(b) - getEffectiveRating(a));
+    const xi = [];
+    let overseas = 0;
+    const fits = p => !xi.includes(p) && (p.country !== "Overseas" || overseas < room.config.maxOverseasP11);
+    const count = test => xi.filter(test).length;
+    const take = p => {
+        xi.push(p);
+        if (p.country === "Overseas") overseas++;
+    };
+
+    ranked.forEach(p => {
+        if (p.role === "Wicketkeeper" && count(q => q.role === "Wicketkeeper") < req.minWicketkeepers && fits(p)) take(p);
+    });
+    ranked.forEach(p => {
+        if (isBowlingOption(p) && count(isBowlingOption) < req.minBowlingOptions && fits(p)) take(p);
+    });
+    ranked.forEach(p => {
+        const batsmanFull = p.role === "Batsman" && count(q => q.role === "Batsman") >= req.maxBatsmen;
+        if (xi.length < req.size && !batsmanFull && fits(p)) take(p);
+    });
+    if (xi.length < req.size || checkXiComposition(req, xi)) {
+        const found = searchLegalXi(room, req, ranked);
+        if (found) {
+            xi.splice(0, xi.length, ...found);
+            overseas = found.filter(p => p.country === "Overseas").length;
+        }
+    }
+
+    // Batters first, then all-rounders and keepers, bowlers at the tail
+    const ORDER = { "Batsman": 0, "Wicketkeeper": 1, "All-Rounder": 2, "Bowler": 3 };
+    xi.sort((a, b) => (ORDER[a.role] ?? 2) - (ORDER[b.role] ?? 2) || b.bat - a.bat);
+
+    const leaders = [...xi].sort((a, b) => getEffectiveRating(b) - getEffectiveRating(a));
+    const cId = leaders[0] && leaders[0].id;
+    const vcId = leaders[1] && leaders[1].id;
+
+    // Bench the next best, then swap the best of them in for the weakest
+    // player the overseas limit allows, which spares the captain in practice
+    const bench = ranked.filter(p => !xi.includes(p)).slice(0, BENCH_SIZE);
+    const weakestFirst = [...leaders].reverse();
+    let impactId = null, replacesId = null;
+    bench.some(sub => {
+        const out = weakestFirst.find(p =>
+            p.country === "Overseas" || sub.country !== "Overseas" || overseas < room.config.maxOverseasP11
+        );
+        if (!out) return false;
+        impactId = sub.id;
+        replacesId = out.id;
+        return true;
+    });
+    return {
+        playerIds: xi.map(p => p.id),
+        cId,
+        vcId,
+        subs: { benchIds: bench.map(p => p.id), impactId, replacesId }
+    };
+}
+
+function submitBotPlaying11s(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    let benched = false;
+    Object.values(room.teams)
+        .filter(t => t.isBot && !t.isEliminated && !t.submitted11)
+        .forEach(bot => {
+            if (room.auction.phase !== "SELECTION") return;
+            const { playerIds, cId, vcId, subs } = pickBotPlaying11(room, bot);
+            const { error } = submitPlaying11(roomId, bot.id, playerIds, cId, vcId, subs);
+            if (error) {
+                // No legal XI in this squad: sit the bot out rather than hold the room in selection
+                console.error('Bot could not field a legal XI:', bot.name, error);
+                bot.isEliminated = true;
+                benched = true;
+            }
+        });
+    if (!benched || room.auction.phase !== "SELECTION") return;
+
+    const activeTeams = Object.values(room.teams).filter(t => !t.isEliminated);
+    saveGameData(roomId);
+    if (activeTeams.every(t => t.submitted11)) {
+        calculateWinner(roomId);
+    } else {
+        io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    }
+}
+
+// --- HOST MODERATION ---
+function logHostAction(roomId, action, message) {
+    const room = rooms[roomId];
+    const entry = { at: Date.now(), action, message };
+    room.hostLog.push(entry);
+    if (room.hostLog.length > HOST_LOG_LIMIT) room.hostLog.shift();
+    recordEvent(room, "host", { action, message });
+    console.log(`[${roomId}] host ${action}: ${message}`);
+    io.to(roomId).emit("host-action", entry);
+}
+
+// Players put back into the auction come up right after the current lot
+function getReinsertIndex(auction) {
+    return auction.biddingOpen ? auction.currentPlayerIndex + 1 : auction.currentPlayerIndex;
+}
+
+// Moves players out of the slots they were sold from, so the pool never
+// holds the same player twice
+function returnToPool(auction, players) {
+    const ids = new Set(players.map(p => p.id));
+    const passed = auction.playerPool.slice(0, auction.currentPlayerIndex).filter(p => ids.has(p.id)).length;
+    auction.playerPool = auction.playerPool.filter(p => !ids.has(p.id));
+    auction.currentPlayerIndex -= passed;
+    auction.playerPool.splice(getReinsertIndex(auction), 0, ...players);
+}
+
+// Reopens the current lot at its base price, used when the leading bidder disappears
+function restartCurrentLot(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    auction.currentBid = player.basePrice;
+    auction.currentBidderId = null;
+    auction.skippedBy = new Set();
+    io.to(roomId).emit("new-player", getLotPayload(room));
+    if (auction.paused) {
+        auction.timeLeft = auction.round === "ACCELERATED" ? room.config.acceleratedTimer : room.config.bidTimer;
+        io.to(roomId).emit("timer-update", auction.timeLeft);
+    } else {
+        startAuctionTimer(roomId);
+        scheduleBotTurn(roomId);
+    }
+}
+
+function removeTeam(roomId, teamId, releasePlayers) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const team = room.teams[teamId];
+
+    delete room.teams[teamId];
+    auction.skippedBy.delete(teamId);
+    delete auction.nominations[teamId];
+    if (auction.lastSale && auction.lastSale.teamId === teamId) auction.lastSale = null;
+
+    // Only a running auction can re-offer players, later on they leave with the team
+    let released = 0;
+    if (releasePlayers && auction.phase === "AUCTION" && team.squad.length > 0) {
+        const returning = team.squad.map(({ soldPrice, ...player }) => player);
+        returnToPool(auction, returning);
+        released = returning.length;
+    }
+
+    if (auction.biddingOpen && auction.currentBidderId === teamId) {
+        restartCurrentLot(roomId);
+    }
+
+    delete auction.proxyBids[teamId];
+    delete auction.sealedBids[teamId];
+    voidTradesFor(roomId, teamId);
+    // A held sale involving the team goes ahead, or falls through if it was the buyer
+    if (auction.rtm && (auction.rtm.teamId === teamId || auction.rtm.winnerId === teamId)) {
+        resolveRtm(roomId, false);
+    }
+    if (auction.phase === "DRAFT") {
+        // Drafted players simply become pickable again
+        if (releasePlayers) {
+            const releasedIds = new Set(team.squad.map(p => p.id));
+            auction.draft.taken = auction.draft.taken.filter(id => !releasedIds.has(id));
+            released = team.squad.length;
+        }
+        if (auction.draft.onClock === teamId) openNextPick(roomId);
+    }
+    const socketId = userToSocketMap[teamId];
+    const kickedSocket = socketId && io.sockets.sockets.get(socketId);
+    if (kickedSocket) {
+        kickedSocket.emit("removed-from-room", { roomId });
+        kickedSocket.leave(roomId);
+    }
+    return released;
+}
+
+function undoLastSale(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const sale = auction.lastSale;
+    if (!sale) return { error: "There is no sale to undo" };
+
+    const team = room.teams[sale.teamId];
+    const index = team ? team.squad.findIndex(p => p.id === sale.playerId) : -1;
+    auction.lastSale = null;
+    if (index === -1) return { error: "That sale can no longer be undone" };
+
+    const [{ soldPrice, ...player }] = team.squad.splice(index, 1);
+    team.purse = parseFloat((team.purse + soldPrice).toFixed(2));
+    if (sale.rtm) team.rtmCardsLeft += 1;
+    // The purchase may have knocked the team out or retired a bot
+    if (team.isEliminated && team.purse >= getMinimumIncrement(room.config.bidSlabs)) {
+        team.isEliminated = false;
+    }
+    if (team.isBot && team.squad.length < getBotSquadTarget(room, team)) {
+        team.isFinishedBidding = false;
+    }
+    returnToPool(auction, [player]);
+    return { team, player, price: soldPrice };
+}
+
+// --- RESTART RECOVERY ---
+// Timers don't survive a restart. Picks every restored room up where its saved
+// state left off: an open lot continues from its saved timeLeft, a room between
+// lots opens the next one, nominations close on their original deadline and a
+// tournament plays its next fixture.
+function resumeRoom(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+
+    if (auction.phase === "AUCTION") {
+        // A paused room waits for the host, host-resume restarts the cycle
+        if (auction.paused) return;
+        if (auction.round === "NOMINATION") {
+            scheduleNominationClose(roomId);
+        } else if (auction.biddingOpen) {
+            startAuctionTimer(roomId, true);
+            scheduleBotTurn(roomId);
+        } else if (auction.rtm) {
+            scheduleRtmClose(roomId);
+        } else {
+            scheduleNextPlayer(roomId);
+        }
+    } else if (auction.phase === "DRAFT") {
+        if (!auction.paused) resumeDraft(roomId);
+    } else if (auction.phase === "TRADE") {
+        scheduleTradeClose(roomId);
+    } else if (auction.phase === "SELECTION") {
+        submitBotPlaying11s(roomId);
+        const activeTeams = Object.values(room.teams).filter(t => !t.isEliminated);
+        if (room.auction.phase === "SELECTION" && activeTeams.length > 0 && activeTeams.every(t => t.submitted11)) {
+            calculateWinner(roomId);
+        }
+    } else if (auction.phase === "TOURNAMENT") {
+        scheduleNextFixture(roomId);
+    }
+}
+
+function resumeAllRooms() {
+    Object.keys(rooms).forEach(roomId => {
+        try {
+            resumeRoom(roomId);
+        } catch (e) {
+            console.error('Failed to resume room:', roomId, e);
+        }
+    });
+}
+
+// --- HTTP API ---
+// Read-only views of the same state the sockets broadcast, for bots and
+// spreadsheets. Add ?format=csv where a CSV is offered and ?download to get
+// it as a file.
+const api = express.Router();
+
+// Resolves :roomId or answers 404, rooms are found by code like join-room does.
+// Password rooms also need the password (X-Room-Password or ?password) or a
+// member's session token (Authorization: Bearer or ?token).
+api.param("roomId", async (req, res, next, value) => {
+    const roomId = sanitizeInput(value, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room) return res.status(404).json({ error: "Room not found" });
+    const auth = req.get("authorization") || "";
+    const token = auth.startsWith("Bearer ") ? auth.slice(7) : req.query.token;
+    const password = req.get("x-room-password") || req.query.password;
+    if (!isRoomMember(room, verifySessionToken(token))) {
+        if (isPasswordThrottled(req.ip)) {
+            return res.status(429).json({ error: "Too many password attempts, try again in a minute" });
+        }
+        if (!(await checkRoomPassword(room, password, req.ip))) {
+            return res.status(403).json({ error: "This room needs a password" });
+        }
+    }
+    req.roomId = roomId;
+    req.room = room;
+    next();
+});
+
+function sendTable(req, res, name, csvText, json) {
+    const format = req.query.format === "csv" ? "csv" : "json";
+    if (req.query.download !== undefined) {
+        res.attachment(`${req.roomId ? `auction-${req.roomId}` : "auction"}-${name}.${format}`);
+    }
+    if (format === "csv") return res.type("text/csv").send(csvText());
+    res.json(json);
+}
+
+function summarizeRoom(roomId, room) {
+    return {
+        id: roomId,
+        phase: room.auction.phase,
+        round: room.auction.round,
+        paused: room.auction.paused,
+        teamCount: Object.keys(room.teams).length,
+        spectatorCount: getSpectatorCount(roomId),
+        pool: room.pool,
+        access: getAccessSummary(room),
+        season: room.season
+    };
+}
+
+// Team as the clients see it, minus the bot tuning
+function publicTeam(team) {
+    const { botProfile, ...rest } = team;
+    return rest;
+}
+
+// Private rooms stay out of the listing. Unlike the lobby browser, which only
+// offers rooms still open to join, this lists public rooms in every phase.
+api.get("/rooms", (req, res) => {
+    res.json({ 
+        rooms: Object.entries(rooms)
+            .filter(([, room]) => room.access.visibility === "public")
+            .map(([roomId, room]) => summarizeRoom(roomId, room)) 
+    });
+});
+
+api.get("/rooms/:roomId", (req, res) => {
+    res.json({ ...summarizeRoom(req.roomId, req.room), config: req.room.config });
+});
+
+api.get("/rooms/:roomId/teams", (req, res) => {
+    const teams = Object.values(req.room.teams).map(publicTeam);
+    sendTable(req, res, "squads", () => squadsToCsv(teams), { roomId: req.roomId, teams });
+});
+
+api.get("/rooms/:roomId/lot", (req, res) => {
+    const room = req.room;
+    const auction = room.auction;
+    if (auction.phase !== "AUCTION" || !auction.biddingOpen) {
+        return res.json({ roomId: req.roomId, lot: null });
+    }
+    const leader = room.teams[auction.currentBidderId];
+    res.json({
+        roomId: req.roomId,
+        lot: {
+            ...getLotPayload(room),
+            bidderId: auction.currentBidderId,
+            bidderName: leader ? leader.name : null,
+            timeLeft: auction.timeLeft
+        }
+    });
+});
+
+api.get("/rooms/:roomId/results", (req, res) => {
+    const room = req.room;
+    if (room.auction.phase !== "RESULT") {
+        return res.status(404).json({ error: "Results are not available until the tournament is over" });
+    }
+    const results = getResults(room);
+    res.json({
+        roomId: req.roomId,
+        seed: results.seed,
+        rankings: getRankedTeams(room).map((team, i) => ({
+            position: i + 1,
+            teamId: team.id,
+            teamName: team.name,
+            points: team.totalScore,
+            captainId: team.captainId || null,
+            viceCaptainId: team.viceCaptainId || null,
+            playing11: team.playing11 || [],
+            bench: team.bench || [],
+            impact: team.impact || null
+        })),
+        standings: results.standings,
+        playoffs: results.playoffs
+    });
+});
+
+// Spend and value analysis, available once the auction is over
+api.get("/rooms/:roomId/report", (req, res) => {
+    if (!REPORT_PHASES.includes(req.room.auction.phase)) {
+        return res.status(404).json({ error: "The report is available once the auction is over" });
+    }
+    const report = buildAuctionReport(req.room);
+    sendTable(req, res, "report", () => reportToCsv(report), { roomId: req.roomId, ...report });
+});
+
+// Full event log of a room
+api.get("/rooms/:roomId/events", (req, res) => {
+    sendTable(req, res, "events", () => eventsToCsv(req.room.eventLog), { roomId: req.roomId, events: req.room.eventLog });
+});
+
+// Cross-game leaderboard, best rating first
+api.get("/profiles", (req, res) => {
+    const leaderboard = getLeaderboard();
+    sendTable(req, res, "leaderboard", () => leaderboardToCsv(leaderboard), { profiles: leaderboard });
+});
+
+api.get("/profiles/:userId", (req, res) => {
+    const profile = profiles[sanitizeInput(req.params.userId, 60)];
+    if (!profile) return res.status(404).json({ error: "Profile not found" });
+    res.json(publicProfile(profile));
+});
+
+api.use((req, res) => res.status(404).json({ error: "Not found" }));
+
+app.use("/api", api);
+
+// --- SOCKET CONNECTION ---
+io.on("connection", (socket) => {
+
+  socket.on("rejoin-game", ({ token, roomId }) => {
+      roomId = sanitizeInput(roomId, 20).toUpperCase();
+      
+      const userId = verifySessionToken(token);
+      if (!userId) return socket.emit("error-message", "Session expired or room closed.");
+      bindSocketToUser(socket, userId);
+
+      if (roomId && rooms[roomId]) {
+          const room = rooms[roomId];
+          const team = room.teams[userId];
+
+          if (team || room.spectators[userId]) {
+              socket.join(roomId);
+              socket.emit("joined-room", getJoinPayload(roomId, userId));
+              
+              io.to(roomId).emit("teams-updated", Object.values(room.teams));
+              if (!team) emitSpectatorCount(roomId);
+              emitRoomState(socket, roomId, userId);
+              
+              updateRoomActivity(roomId);
+              return;
+          }
+      }
+      socket.emit("error-message", "Session expired or room closed.");
+  });
+
+  socket.on("list-player-pools", () => {
+    socket.emit("player-pools", listBundledPools());
+  });
+
+  socket.on("create-room", ({ teamName, purse, rules, pool, access, token }) => {
+    teamName = sanitizeInput(teamName, 30) || "Team";
+    
+    // `purse` predates the rules object and is still accepted on its own
+    const requestedRules = { ...(rules && typeof rules === 'object' ? rules : {}) };
+    if (requestedRules.startingPurse === undefined && purse !== undefined) {
+        requestedRules.startingPurse = purse;
+    }
+    const { rules: roomRules, error } = validateRules(requestedRules);
+    if (error) return socket.emit("error-message", error);
+    const { access: roomAccess, error: accessError } = validateAccess(access, getDefaultAccess());
+    if (accessError) return socket.emit("error-message", accessError);
+    
+    const resolvedPool = resolvePoolRequest(pool);
+    if (resolvedPool.error) {
+        socket.emit("pool-errors", { message: resolvedPool.error, errors: resolvedPool.errors });
+        return socket.emit("error-message", resolvedPool.error);
+    }
+    const { players, info: poolInfo } = resolvedPool;
+    
+    const userId = resolveSessionUser(socket, token);
+    bindSocketToUser(socket, userId);
+    
+    const roomId = generateRoomCode();
+    const hostPurse = roomRules.startingPurse;
+
+    const initialPool = players.length > 0 ? buildAuctionSets(players) : getEmptyPoolPlaceholder();
+
+    rooms[roomId] = {
+      hostId: userId,
+      config: roomRules, 
+      pool: poolInfo,
+      access: roomAccess,
+      teams: {
+        [userId]: { 
+            id: userId, 
+            name: teamName, 
+            purse: hostPurse, 
+            squad: [], 
+            isEliminated: false, 
+            isFinishedBidding: false, 
+            submitted11: false, 
+            totalScore: 0 
+        }
+      },
+      auction: createAuctionState(initialPool, roomRules),
+      hostLog: [],
+      eventLog: [],
+      spectators: {},
+      matchSeed: crypto.randomBytes(8).toString("hex"),
+      results: null,
+      season: 1,
+      seasonHistory: [],
+      lastActivity: Date.now(),
+      nextPlayerTimeout: null,
+      botTimeout: null,
+      rtmTimeout: null,
+      tradeTimeout: null,
+      botTradeTimeouts: {}
+    };
+    recordEvent(rooms[roomId], "room-created", { teamId: userId, teamName, pool: poolInfo.name });
+
+    saveGameData(roomId);
+    socket.join(roomId);
+    socket.emit("room-created", { ...getJoinPayload(roomId, userId), token: issueSessionToken(userId) });
+    io.to(roomId).emit("teams-updated", Object.values(rooms[roomId].teams));
+  });
+
+  socket.on("list-public-rooms", () => {
+    socket.emit("public-rooms", listPublicRooms());
+  });
+
+  socket.on("join-room", async ({ roomId, teamName, password, token, spectate }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    teamName = sanitizeInput(teamName, 30) || "Team";
+    
+    const room = rooms[roomId];
+    if (!room) return socket.emit("error-message", "Room not found");
+    
+    const userId = resolveSessionUser(socket, token);
+    // Open rooms skip the check entirely, so their joins stay synchronous
+    if (room.access.passwordHash && !isRoomMember(room, userId)) {
+        const clientKey = socket.handshake.address;
+        if (isPasswordThrottled(clientKey)) {
+            return socket.emit("error-message", "Too many password attempts, try again in a minute");
+        }
+        if (!(await checkRoomPassword(room, password, clientKey))) {
+            return socket.emit("error-message", password ? "Wrong room password" : "This room needs a password");
+        }
+        // The room may have closed while the password was being checked
+        if (rooms[roomId] !== room) return socket.emit("error-message", "Room not found");
+    }
+    if (!spectate && !room.teams[userId]) {
+        const blocked = getTeamEntryBlock(room);
+        if (blocked) return socket.emit("error-message", blocked);
+    }
+    bindSocketToUser(socket, userId);
+
+    // Watching never creates a team, a user who already has one keeps it
+    if (spectate && !room.teams[userId]) {
+      room.spectators[userId] = { id: userId, name: teamName };
+      updateRoomActivity(roomId);
+      saveGameData(roomId);
+      socket.join(roomId);
+      socket.emit("joined-room", { ...getJoinPayload(roomId, userId), token: issueSessionToken(userId) });
+      socket.emit("teams-updated", Object.values(room.teams));
+      emitSpectatorCount(roomId);
+      emitRoomState(socket, roomId, userId);
+      return;
+    }
 
     if (!room.teams[userId]) {
+      delete room.spectators[userId];
       room.teams[userId] = { 
           id: userId, 
           name: teamName, 
@@ -544,253 +3705,679 @@ io.on("connection", (socket) => {
           submitted11: false, 
           totalScore: 0 
       };
+      recordEvent(room, "team-joined", { teamId: userId, teamName });
+    }
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    socket.join(roomId);
+    socket.emit("joined-room", { ...getJoinPayload(roomId, userId), token: issueSessionToken(userId) });
+    emitSpectatorCount(roomId);
+    emitRoomState(socket, roomId, userId);
+
+    checkEliminations(room);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+  });
+
+  socket.on("leave-room", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    if (!userId) return;
+    
+    if(roomId && rooms[roomId]) {
+        const room = rooms[roomId];
+        if (room.teams[userId]) {
+            recordEvent(room, "team-left", { teamId: userId, teamName: room.teams[userId].name });
+            delete room.teams[userId];
+        }
+        const wasSpectator = !!room.spectators[userId];
+        delete room.spectators[userId];
+        socket.leave(roomId);
+        
+        if (room.hostId === userId) {
+            // Bots can't host, a room with only bots left is closed
+            const remainingIds = Object.keys(room.teams).filter(id => !room.teams[id].isBot);
+            if (remainingIds.length > 0) {
+                room.hostId = remainingIds[0];
+                io.to(roomId).emit("host-changed", { hostId: room.hostId, hostName: room.teams[room.hostId].name });
+            } else {
+                // Clean up timers before deleting room
+                if (room.auction.timer) clearInterval(room.auction.timer);
+                if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
+                if (room.botTimeout) clearTimeout(room.botTimeout);
+                if (room.rtmTimeout) clearTimeout(room.rtmTimeout);
+                if (room.tradeTimeout) clearTimeout(room.tradeTimeout);
+                clearBotTradeReplies(room);
+                delete rooms[roomId];
+            }
+        }
+        
+        saveGameData(roomId);
+        if(rooms[roomId]) {
+            if (wasSpectator) emitSpectatorCount(roomId);
+            io.to(roomId).emit("teams-updated", Object.values(room.teams));
+            checkAuctionCompletion(roomId);
+            if (room.auction.phase === "DRAFT" && room.auction.draft.onClock === userId) openNextPick(roomId);
+            voidTradesFor(roomId, userId);
+        }
+    }
+    
+    delete socketToUserMap[socket.id];
+    delete userToSocketMap[userId];
+  });
+
+  socket.on("disconnect", () => {
+      const userId = socketToUserMap[socket.id];
+      delete socketToUserMap[socket.id];
+      if (userId && userToSocketMap[userId] === socket.id) {
+          delete userToSocketMap[userId];
+      }
+      // The socket has already left its rooms, so the counts exclude it
+      Object.keys(rooms).forEach(roomId => {
+          if (userId && rooms[roomId].spectators[userId]) emitSpectatorCount(roomId);
+      });
+  });
+
+  socket.on("finish-bidding-for-me", ({ roomId }) => {
+      const userId = socketToUserMap[socket.id];
+      roomId = sanitizeInput(roomId, 20).toUpperCase();
+      
+      const room = rooms[roomId];
+      if(!room) return;
+      const team = room.teams[userId];
+      
+      if(team && team.squad.length >= room.config.minSquadToPlay && !team.isEliminated) {
+          team.isFinishedBidding = true;
+          updateRoomActivity(roomId);
+          saveGameData(roomId);
+          io.to(roomId).emit("teams-updated", Object.values(room.teams));
+          checkAuctionCompletion(roomId);
+          if (room.auction.phase === "DRAFT" && room.auction.draft.onClock === userId) openNextPick(roomId);
+      }
+  });
+
+  socket.on("start-auction", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") return;
+
+    if (room.season > 1) {
+        applyRetentions(roomId);
+        io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    }
+    if (room.config.auctionFormat === "draft") {
+        io.to(roomId).emit("draft-started");
+        startDraft(roomId);
+        return;
+    }
+
+    setPhase(room, "AUCTION");
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("auction-started-signal");
+    startNextPlayer(roomId);
+  });
+
+  socket.on("preview-sets", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") return;
+    
+    socket.emit("auction-sets", getSetPreview(room.auction.playerPool));
+  });
+
+  socket.on("add-bot", ({ roomId, difficulty, personality }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    difficulty = sanitizeInput(difficulty, 20);
+    personality = sanitizeInput(personality, 20);
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") {
+        return socket.emit("error-message", "Bots can only be added in the lobby");
+    }
+    if (!BOT_DIFFICULTIES[difficulty]) return socket.emit("error-message", "Unknown bot difficulty");
+    if (!BOT_PERSONALITIES[personality]) return socket.emit("error-message", "Unknown bot personality");
+    if (Object.values(room.teams).filter(t => t.isBot).length >= MAX_BOTS_PER_ROOM) {
+        return socket.emit("error-message", `A room can have at most ${MAX_BOTS_PER_ROOM} bots`);
+    }
+    if (Object.keys(room.teams).length >= room.access.maxTeams) {
+        return socket.emit("error-message", "This room is full");
+    }
+    
+    const bot = createBotTeam(room, difficulty, personality);
+    room.teams[bot.id] = bot;
+    recordEvent(room, "team-joined", { teamId: bot.id, teamName: bot.name, bot: true });
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+  });
+
+  socket.on("remove-bot", ({ roomId, botId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    botId = sanitizeInput(botId, 100);
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") return;
+    if (!room.teams[botId] || !room.teams[botId].isBot) return;
+    
+    recordEvent(room, "team-left", { teamId: botId, teamName: room.teams[botId].name, bot: true });
+    delete room.teams[botId];
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+  });
+
+  socket.on("host-pause", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    const auction = room.auction;
+    if ((auction.phase !== "AUCTION" && auction.phase !== "DRAFT") || auction.paused) return;
+    if (auction.round === "NOMINATION") {
+        return socket.emit("error-message", "Nominations can't be paused");
+    }
+    if (auction.rtm) return socket.emit("error-message", "Wait for the Right-to-Match decision");
+    
+    auction.paused = true;
+    if (auction.timer) {
+        clearInterval(auction.timer);
+        auction.timer = null;
+    }
+    if (room.botTimeout) {
+        clearTimeout(room.botTimeout);
+        room.botTimeout = null;
+    }
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("auction-paused", { paused: true, timeLeft: auction.timeLeft });
+    logHostAction(roomId, "pause", `Auction paused with ${auction.timeLeft}s left on the clock`);
+  });
+
+  socket.on("host-resume", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    const auction = room.auction;
+    if ((auction.phase !== "AUCTION" && auction.phase !== "DRAFT") || !auction.paused) return;
+    
+    auction.paused = false;
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("auction-paused", { paused: false, timeLeft: auction.timeLeft });
+    logHostAction(roomId, "resume", "Auction resumed");
+    
+    if (auction.phase === "DRAFT") {
+        resumeDraft(roomId);
+    } else if (auction.biddingOpen) {
+        startAuctionTimer(roomId, true);
+        applyProxyBids(roomId);
+        scheduleBotTurn(roomId);
+    } else if (!room.nextPlayerTimeout) {
+        // The gap between lots ran out while paused
+        startNextPlayer(roomId);
+    }
+  });
+
+  socket.on("host-remove-team", ({ roomId, teamId, releasePlayers }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    teamId = sanitizeInput(teamId, 100);
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (!["LOBBY", "AUCTION", "DRAFT", "TRADE", "SELECTION"].includes(room.auction.phase)) {
+        return socket.emit("error-message", "Teams can't be removed once the matches start");
+    }
+    const team = room.teams[teamId];
+    if (!team) return socket.emit("error-message", "Team not found");
+    if (teamId === userId) return socket.emit("error-message", "Transfer host rights before leaving");
+    
+    const released = removeTeam(roomId, teamId, !!releasePlayers);
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    logHostAction(roomId, "remove-team", released > 0
+        ? `${team.name} removed and ${released} player${released === 1 ? "" : "s"} released back to the pool`
+        : `${team.name} removed along with its ${team.squad.length} players`);
+    
+    if (room.auction.phase === "AUCTION") {
+        checkAuctionCompletion(roomId);
+    } else if (room.auction.phase === "SELECTION") {
+        const activeTeams = Object.values(room.teams).filter(t => !t.isEliminated);
+        if (activeTeams.length > 0 && activeTeams.every(t => t.submitted11)) calculateWinner(roomId);
+    }
+  });
+
+  socket.on("host-undo-sale", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "AUCTION") {
+        return socket.emit("error-message", "Sales can only be undone during the auction");
+    }
+    if (room.auction.rtm) return socket.emit("error-message", "Wait for the Right-to-Match decision");
+    
+    const { error, team, player, price } = undoLastSale(roomId);
+    if (error) return socket.emit("error-message", error);
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    logHostAction(roomId, "undo-sale", `Sale of ${player.name} to ${team.name} for ₹${price} undone, ${player.name} returns to the pool`);
+  });
+
+  socket.on("host-force-sell", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    const auction = room.auction;
+    if (!auction.biddingOpen) return socket.emit("error-message", "No lot is open");
+    if (room.config.auctionFormat === "sealed") {
+        if (Object.keys(auction.sealedBids).length === 0) return socket.emit("error-message", "Nobody has bid on this player yet");
+        logHostAction(roomId, "force-sell", `Sealed bids for ${auction.playerPool[auction.currentPlayerIndex].name} opened early`);
+        closeSealedLot(roomId);
+        return;
+    }
+    if (!auction.currentBidderId) return socket.emit("error-message", "Nobody has bid on this player yet");
+    
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    const bidder = room.teams[auction.currentBidderId];
+    if (auction.timer) {
+        clearInterval(auction.timer);
+        auction.timer = null;
+    }
+    logHostAction(roomId, "force-sell", `${player.name} sold early to ${bidder ? bidder.name : "the highest bidder"} for ₹${auction.currentBid}`);
+    finishBidding(roomId);
+  });
+
+  socket.on("host-force-unsold", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    const auction = room.auction;
+    if (!auction.biddingOpen) return socket.emit("error-message", "No lot is open");
+    
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (auction.timer) {
+        clearInterval(auction.timer);
+        auction.timer = null;
     }
+    logHostAction(roomId, "force-unsold", `${player.name} marked unsold`);
+    finishPlayerUnsold(roomId);
+  });
 
+  socket.on("host-transfer", ({ roomId, teamId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    teamId = sanitizeInput(teamId, 100);
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    const team = room.teams[teamId];
+    if (!team || teamId === userId) return socket.emit("error-message", "Team not found");
+    if (team.isBot) return socket.emit("error-message", "Bots can't host a room");
+    
+    room.hostId = teamId;
     updateRoomActivity(roomId);
-    saveGameData();
-    socket.join(roomId);
-    socket.emit("joined-room", { 
-        roomId, 
-        team: room.teams[userId], 
-        isHost: (userId === room.hostId) 
-    });
+    saveGameData(roomId);
+    io.to(roomId).emit("host-changed", { hostId: teamId, hostName: team.name });
+    logHostAction(roomId, "transfer-host", `${room.teams[userId].name} handed host rights to ${team.name}`);
+  });
+
+  socket.on("set-player-pool", ({ roomId, pool }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
     
-    if(room.auction.phase === "AUCTION" && room.auction.biddingOpen) {
-        const player = room.auction.playerPool[room.auction.currentPlayerIndex];
-        socket.emit("new-player", { player, currentBid: room.auction.currentBid });
-        socket.emit("timer-update", room.auction.timeLeft || 10);
-    } else if(room.auction.phase === "SELECTION") {
-        socket.emit("start-selection-phase");
-    } else if (room.auction.phase === "RESULT") {
-        emitResults(roomId);
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") {
+        return socket.emit("error-message", "The player pool is locked once the auction starts");
     }
-
-    checkEliminations(room);
-    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    
+    const { players, info, error, errors } = resolvePoolRequest(pool);
+    if (error) {
+        socket.emit("pool-errors", { message: error, errors });
+        return socket.emit("error-message", error);
+    }
+    
+    room.pool = info;
+    setRoomPool(room, players);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("pool-updated", getPoolSummary(room));
+    socket.emit("auction-sets", getSetPreview(room.auction.playerPool));
   });
 
-  socket.on("leave-room", ({ roomId, userId }) => {
+  // Adds a player, or replaces the one with the same id
+  socket.on("save-pool-player", ({ roomId, player }) => {
+    const userId = socketToUserMap[socket.id];
     roomId = sanitizeInput(roomId, 20).toUpperCase();
-    userId = sanitizeInput(userId, 100);
     
-    if(roomId && rooms[roomId]) {
-        const room = rooms[roomId];
-        if (room.teams[userId]) {
-            delete room.teams[userId];
-        }
-        
-        if (room.hostId === userId) {
-            const remainingIds = Object.keys(room.teams);
-            if (remainingIds.length > 0) {
-                room.hostId = remainingIds[0];
-            } else {
-                // Clean up timers before deleting room
-                if (room.auction.timer) clearInterval(room.auction.timer);
-                if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
-                delete rooms[roomId];
-            }
-        }
-        
-        saveGameData();
-        if(rooms[roomId]) {
-            io.to(roomId).emit("teams-updated", Object.values(room.teams));
-            checkAuctionCompletion(roomId);
-        }
-        socket.leave(roomId);
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") {
+        return socket.emit("error-message", "The player pool is locked once the auction starts");
     }
+    if (!player || typeof player !== "object") return;
     
-    delete socketToUserMap[socket.id];
-    delete userToSocketMap[userId];
+    const players = room.auction.playerPool.filter(p => p.id !== "error_0");
+    const raw = { ...player, id: player.id ? String(player.id) : `custom_${crypto.randomBytes(4).toString("hex")}` };
+    const { player: validated, errors } = validatePlayerRow(raw, players.length);
+    if (errors) {
+        const rowErrors = errors.map(([field, message]) => ({ row: null, field, message }));
+        socket.emit("pool-errors", { message: "That player is invalid", errors: rowErrors });
+        return socket.emit("error-message", rowErrors[0].message);
+    }
+    
+    const existing = players.findIndex(p => p.id === validated.id);
+    if (existing === -1) players.push(validated);
+    else players[existing] = validated;
+    
+    room.pool = { ...room.pool, edited: true };
+    setRoomPool(room, players);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("pool-updated", getPoolSummary(room));
+    socket.emit("auction-sets", getSetPreview(room.auction.playerPool));
   });
 
-  socket.on("disconnect", () => {
-      const userId = socketToUserMap[socket.id];
-      delete socketToUserMap[socket.id];
-      if (userId && userToSocketMap[userId] === socket.id) {
-          delete userToSocketMap[userId];
-      }
+  socket.on("remove-pool-player", ({ roomId, playerId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    playerId = sanitizeInput(playerId, 50);
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") {
+        return socket.emit("error-message", "The player pool is locked once the auction starts");
+    }
+    
+    const players = room.auction.playerPool.filter(p => p.id !== "error_0");
+    if (!players.some(p => p.id === playerId)) return;
+    
+    room.pool = { ...room.pool, edited: true };
+    setRoomPool(room, players.filter(p => p.id !== playerId));
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("pool-updated", getPoolSummary(room));
+    socket.emit("auction-sets", getSetPreview(room.auction.playerPool));
   });
 
-  socket.on("finish-bidding-for-me", ({ roomId, userId }) => {
-      roomId = sanitizeInput(roomId, 20).toUpperCase();
-      userId = sanitizeInput(userId, 100);
-      
-      const room = rooms[roomId];
-      if(!room) return;
-      const team = room.teams[userId];
-      
-      if(team && team.squad.length >= MIN_SQUAD_TO_PLAY && !team.isEliminated) {
-          team.isFinishedBidding = true;
-          updateRoomActivity(roomId);
-          saveGameData();
-          io.to(roomId).emit("teams-updated", Object.values(room.teams));
-          checkAuctionCompletion(roomId);
-      }
+  socket.on("update-room-rules", ({ roomId, rules }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") {
+        return socket.emit("error-message", "Rules are locked once the auction starts");
+    }
+    
+    const { rules: newRules, error } = validateRules(rules, room.config);
+    if (error) return socket.emit("error-message", error);
+    
+    room.config = { ...room.config, ...newRules };
+    room.auction.timeLeft = room.config.bidTimer;
+    // Nobody has spent anything in the lobby, so purses simply follow the new rule
+    Object.values(room.teams).forEach(team => {
+        team.purse = room.config.startingPurse;
+    });
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("room-rules-updated", room.config);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
   });
 
-  socket.on("start-auction", ({ roomId }) => {
+  // Unlike the rules this stays open during the auction, so late entry can be toggled
+  socket.on("update-room-access", ({ roomId, access }) => {
     const userId = socketToUserMap[socket.id];
     roomId = sanitizeInput(roomId, 20).toUpperCase();
     
     const room = rooms[roomId];
     if (!room || room.hostId !== userId) return;
-    if (room.auction.phase !== "LOBBY") return;
-
-    room.auction.phase = "AUCTION";
+    
+    const { access: newAccess, error } = validateAccess(access, room.access, Object.keys(room.teams).length);
+    if (error) return socket.emit("error-message", error);
+    
+    room.access = newAccess;
     updateRoomActivity(roomId);
-    saveGameData();
-    io.to(roomId).emit("auction-started-signal");
-    startNextPlayer(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("room-access-updated", getAccessSummary(room));
   });
 
-  socket.on("place-bid", ({ roomId, bidAmount, userId }) => {
+  socket.on("list-upcoming-players", ({ roomId }) => {
     roomId = sanitizeInput(roomId, 20).toUpperCase();
-    userId = sanitizeInput(userId, 100);
-    bidAmount = parseFloat(bidAmount);
-    
     const room = rooms[roomId];
-    if (!room || !room.auction.biddingOpen) return;
+    if (!room || !isRoomMember(room, socketToUserMap[socket.id])) return;
     
     const auction = room.auction;
-    const team = room.teams[userId];
+    socket.emit("upcoming-players", auction.playerPool.slice(auction.currentPlayerIndex)
+        .filter(p => p.id !== "error_0")
+        .map(p => ({ id: p.id, name: p.name, role: p.role, country: p.country, basePrice: p.basePrice, set: p.set })));
+  });
+
+  socket.on("set-proxy-bid", ({ roomId, playerId, maxPrice }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
     
+    const room = rooms[roomId];
+    if (!room) return;
+    const auction = room.auction;
+    const team = room.teams[userId];
     if (!team || team.isEliminated || team.isFinishedBidding) return;
-    if (team.squad.length >= MAX_SQUAD_SIZE) return;
+    if (auction.phase !== "LOBBY" && auction.phase !== "AUCTION") {
+        return socket.emit("error-message", "The auction is over");
+    }
+    if (room.config.auctionFormat === "sealed") {
+        return socket.emit("error-message", "Auto-bids are not available in a sealed-bid auction");
+    }
+    
+    // Defaults to the lot on the block
+    const current = auction.playerPool[auction.currentPlayerIndex];
+    playerId = playerId === undefined ? (current && current.id) : sanitizeInput(String(playerId), 50);
+    const player = auction.playerPool.slice(auction.currentPlayerIndex).find(p => p.id === playerId);
+    if (!player || player.id === "error_0") return socket.emit("error-message", "That player is no longer up for auction");
+    
+    maxPrice = parseFloat(parseFloat(maxPrice).toFixed(2));
+    if (isNaN(maxPrice) || maxPrice < player.basePrice) {
+        return socket.emit("error-message", `The ceiling must be at least the base price of ₹${player.basePrice}`);
+    }
+    if (maxPrice > team.purse) return socket.emit("error-message", "The ceiling is more than your purse");
     
-    // Validate bid amount
-    const minBid = auction.currentBid + BID_INCREMENT;
-    if (bidAmount < minBid || bidAmount > team.purse) return;
-    if (isNaN(bidAmount)) return;
+    const ceilings = auction.proxyBids[userId] || {};
+    if (ceilings[player.id] === undefined && Object.keys(ceilings).length >= MAX_PROXY_BIDS_PER_TEAM) {
+        return socket.emit("error-message", `You can queue at most ${MAX_PROXY_BIDS_PER_TEAM} auto-bids`);
+    }
+    ceilings[player.id] = maxPrice;
+    auction.proxyBids[userId] = ceilings;
+    
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitProxyBids(roomId, userId);
+    if (current && current.id === player.id) applyProxyBids(roomId);
+  });
 
-    const player = auction.playerPool[auction.currentPlayerIndex];
+  socket.on("clear-proxy-bid", ({ roomId, playerId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
     
-    // Overseas validation
-    if (player.country === "Overseas") {
-        const overseasCount = team.squad.filter(p => p.country === "Overseas").length;
-        if (overseasCount >= MAX_OVERSEAS_SQUAD) return; 
+    const room = rooms[roomId];
+    if (!room || !room.teams[userId]) return;
+    removeProxyBid(roomId, userId, sanitizeInput(String(playerId), 50));
+    saveGameData(roomId);
+  });
+
+  socket.on("place-bid", ({ roomId, bidAmount }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    placeBid(roomId, userId, parseFloat(bidAmount));
+  });
+
+  socket.on("host-rollover-season", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "RESULT") {
+        return socket.emit("error-message", "A new season can only start once this one is finished");
     }
+    
+    rolloverSeason(roomId);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("season-started", { season: room.season });
+    logHostAction(roomId, "new-season", `Season ${room.season} started, teams can now pick their retentions`);
+  });
 
-    auction.currentBid = parseFloat(bidAmount.toFixed(2));
-    auction.currentBidderId = userId;
-    auction.skippedBy = new Set(); // Reset skips on new bid
+  socket.on("submit-retentions", ({ roomId, playerIds }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room) return;
+    const team = room.teams[userId];
+    if (!team) return;
+    if (room.season <= 1 || room.auction.phase !== "LOBBY") {
+        return socket.emit("error-message", "Retentions are picked in the lobby before a new season");
+    }
+    
+    const { playerIds: retained, error } = validateRetentions(room, team, playerIds);
+    if (error) return socket.emit("error-message", error);
+    team.retentions = retained;
     
     updateRoomActivity(roomId);
-    io.to(roomId).emit("bid-updated", { 
-        currentBid: auction.currentBid, 
-        bidderId: userId, 
-        bidderName: team.name 
-    });
-    startAuctionTimer(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
   });
 
-  socket.on("skip-for-me", ({ roomId, userId }) => {
+  socket.on("use-rtm", ({ roomId, accept }) => {
+    const userId = socketToUserMap[socket.id];
     roomId = sanitizeInput(roomId, 20).toUpperCase();
-    userId = sanitizeInput(userId, 100);
     
     const room = rooms[roomId];
-    if (!room || !room.auction.biddingOpen) return;
+    if (!room || !room.auction.rtm || room.auction.rtm.teamId !== userId) return;
+    resolveRtm(roomId, accept === true);
+  });
+
+  socket.on("propose-trade", ({ roomId, toId, give, get, cash }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
     
-    const auction = room.auction;
-    const team = room.teams[userId];
+    const room = rooms[roomId];
+    if (!room || !room.teams[userId]) return;
+    const { error } = proposeTrade(roomId, userId, sanitizeInput(String(toId), 100), { give, get, cash });
+    if (error) socket.emit("error-message", error);
+  });
+
+  socket.on("counter-trade", ({ roomId, offerId, give, get, cash }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
     
-    if (!team || team.isEliminated || team.isFinishedBidding) return;
+    const room = rooms[roomId];
+    if (!room || !room.teams[userId] || room.auction.phase !== "TRADE") return;
+    const original = findOpenOffer(room, sanitizeInput(String(offerId), 30));
+    if (!original || original.toId !== userId) return socket.emit("error-message", "That offer is no longer open");
+    
+    const { error } = proposeTrade(roomId, userId, original.fromId, { give, get, cash }, original.id);
+    if (error) return socket.emit("error-message", error);
+    original.status = "countered";
+    saveGameData(roomId);
+    emitTradeOffers(roomId, original.fromId);
+    emitTradeOffers(roomId, userId);
+  });
 
-    // Use Set to prevent duplicates
-    if (!auction.skippedBy.has(userId)) {
-        auction.skippedBy.add(userId);
-    }
+  socket.on("respond-trade", ({ roomId, offerId, action }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    
+    const room = rooms[roomId];
+    if (!room || !room.teams[userId]) return;
+    const { error } = respondToTrade(roomId, userId, sanitizeInput(String(offerId), 30), sanitizeInput(action, 10));
+    if (error) socket.emit("error-message", error);
+  });
 
-    const teams = Object.values(room.teams);
-    const activeBidders = teams.filter(t => 
-        !t.isEliminated && 
-        !t.isFinishedBidding && 
-        t.squad.length < MAX_SQUAD_SIZE
-    );
+  socket.on("host-close-trades", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
     
-    const requiredSkips = auction.currentBidderId 
-        ? (activeBidders.length - 1) 
-        : activeBidders.length;
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "TRADE") return socket.emit("error-message", "The trade window is not open");
+    
+    logHostAction(roomId, "close-trades", "Trade window closed early");
+    closeTradeWindow(roomId);
+  });
 
-    if (auction.skippedBy.size >= requiredSkips && activeBidders.length > 0) {
-        if (auction.timer) {
-            clearInterval(auction.timer);
-            auction.timer = null;
-        }
-        
-        if (auction.currentBidderId) {
-            finishBidding(roomId);
-        } else {
-            finishPlayerUnsold(roomId);
-        }
+  socket.on("draft-pick", ({ roomId, playerId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    if (!makeDraftPick(roomId, userId, sanitizeInput(String(playerId), 50))) {
+        socket.emit("error-message", "You can't pick that player right now");
     }
   });
 
-  socket.on("submit-playing-11", ({ roomId, playerIds, cId, vcId, userId }) => {
-      roomId = sanitizeInput(roomId, 20).toUpperCase();
-      userId = sanitizeInput(userId, 100);
-      
-      const room = rooms[roomId];
-      if(!room) return;
-      
-      const team = room.teams[userId];
-      if (!team) return;
-      
-      const requiredSelection = Math.min(PLAYING_11_SIZE, team.squad.length);
-      
-      if(!Array.isArray(playerIds) || playerIds.length !== requiredSelection) return;
-      
-      const selectedPlayers = team.squad.filter(p => playerIds.includes(p.id));
-      if (selectedPlayers.length !== requiredSelection) return;
-      
-      // Validate overseas limit in Playing 11
-      const overseasInP11 = selectedPlayers.filter(p => p.country === "Overseas").length;
-      if (overseasInP11 > MAX_OVERSEAS_P11) return;
-      
-      const captain = selectedPlayers.find(p => p.id === cId);
-      const viceCaptain = selectedPlayers.find(p => p.id === vcId);
-      
-      if(!captain || !viceCaptain || cId === vcId) return;
-
-      const getEffectiveRating = (p) => {
-          const factor = p.soldPrice / p.basePrice;
-          let finalRating = p.rating;
-          if (p.rating > 88 && factor >= 8) finalRating = p.rating - 5;
-          else if (p.rating > 88 && factor < 6) finalRating = p.rating + 5;
-          else if (p.rating < 88 && factor > 6) finalRating = p.rating - 5;
-          else if (p.rating <88 && factor < 4) finalRating = p.rating + 5;
-          return Math.max(0, finalRating);
-      };
-
-      const cEffRating = getEffectiveRating(captain);
-      const vcEffRating = getEffectiveRating(viceCaptain);
+  socket.on("submit-sealed-bid", ({ roomId, amount }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    if (!submitSealedBid(roomId, userId, parseFloat(amount))) {
+        socket.emit("error-message", "Your sealed bid was not accepted");
+    }
+  });
 
-      let score = 0;
-      score += (cEffRating * 2);      
-      score += (vcEffRating * 1.5);   
-      
-      const leadershipBonus = (cEffRating * 0.10) + (vcEffRating * 0.10);
-      
-      selectedPlayers.forEach(p => {
-          if (p.id !== cId && p.id !== vcId) {
-              score += (getEffectiveRating(p) + leadershipBonus);
-          }
-      });
+  socket.on("nominate-unsold", ({ roomId, playerIds }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    recordNominations(roomId, userId, playerIds);
+  });
 
-      team.totalScore = Math.round(score * 100) / 100;
-      team.submitted11 = true;
-      team.playing11 = selectedPlayers;
-      
-      updateRoomActivity(roomId);
-      saveGameData();
+  socket.on("skip-for-me", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    registerSkip(roomId, userId);
+  });
 
-      const activeTeams = Object.values(room.teams).filter(t => !t.isEliminated);
-      const allSubmitted = activeTeams.every(t => t.submitted11);
+  socket.on("set-display-name", ({ name, token }) => {
+    const userId = socketToUserMap[socket.id] || verifySessionToken(token);
+    if (!userId) return socket.emit("error-message", "Create or join a game first to get a profile");
+    const displayName = sanitizeInput(name, MAX_DISPLAY_NAME_LENGTH);
+    if (!displayName) return socket.emit("error-message", "Display name cannot be empty");
+    
+    const profile = getOrCreateProfile(userId, displayName);
+    profile.displayName = displayName;
+    saveProfile(userId);
+    socket.emit("profile-updated", { profile: publicProfile(profile) });
+  });
 
-      if(allSubmitted) {
-          calculateWinner(roomId);
-      } else {
-          io.to(roomId).emit("teams-updated", Object.values(room.teams));
-      }
+  socket.on("submit-playing-11", ({ roomId, playerIds, cId, vcId, benchIds, impactId, replacesId }) => {
+      const userId = socketToUserMap[socket.id];
+      roomId = sanitizeInput(roomId, 20).toUpperCase();
+      const { error } = submitPlaying11(roomId, userId, playerIds, cId, vcId, { benchIds, impactId, replacesId });
+      if (error) socket.emit("error-message", error);
   });
 });
 
@@ -802,12 +4389,32 @@ setInterval(() => {
             const room = rooms[roomId];
             if (room.auction.timer) clearInterval(room.auction.timer);
             if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
+            if (room.botTimeout) clearTimeout(room.botTimeout);
+            if (room.rtmTimeout) clearTimeout(room.rtmTimeout);
+            if (room.tradeTimeout) clearTimeout(room.tradeTimeout);
+            clearBotTradeReplies(room);
             delete rooms[roomId];
+            saveGameData(roomId);
             console.log(`Cleaned up inactive room: ${roomId}`);
         }
     });
-    saveGameData();
+    passwordAttempts.forEach((entry, clientKey) => {
+        if (entry.resetAt <= now) passwordAttempts.delete(clientKey);
+    });
 }, 3600000); // Run every hour
 
+// Flush pending changes synchronously so a graceful stop loses no bids
+function shutdown(signal) {
+    console.log(`${signal} received, saving game state`);
+    writeGameData();
+    storage.close();
+    process.exit(0);
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+server.listen(PORT, () => {
+    resumeAllRooms();
+    console.log(`Server running on http://localhost:${PORT}`);
+});
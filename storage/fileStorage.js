@@ -0,0 +1,78 @@
+// One JSON file per room, and one per player profile in a directory of their
+// own. Writes go to a temp file that is fsynced and then renamed over the old
+// one, so a crash mid-write leaves the previous save intact.
+
+const fs = require("fs");
+const path = require("path");
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const RECORD_FILE_PATTERN = /^[A-Za-z0-9_-]+\.json$/;
+const TEMP_SUFFIX = ".tmp";
+
+function writeAtomic(file, data) {
+    const temp = file + TEMP_SUFFIX;
+    const fd = fs.openSync(temp, "w");
+    try {
+        fs.writeSync(fd, JSON.stringify(data));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temp, file);
+}
+
+// Parses every record file in `dir`, `kind` only shows up in log lines
+function readRecords(dir, kind) {
+    const records = [];
+    fs.readdirSync(dir).forEach(name => {
+        const file = path.join(dir, name);
+        // Leftover from a write that never reached its rename
+        if (name.endsWith(TEMP_SUFFIX)) {
+            fs.rmSync(file, { force: true });
+            return;
+        }
+        if (!RECORD_FILE_PATTERN.test(name)) return;
+        try {
+            records.push({ id: path.basename(name, ".json"), data: JSON.parse(fs.readFileSync(file, "utf-8")) });
+        } catch (e) {
+            console.error(`Skipping unreadable ${kind} file ${name}:`, e.message);
+        }
+    });
+    return records;
+}
+
+function createFileStorage(dir, profileDir) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.mkdirSync(profileDir, { recursive: true });
+
+    const recordFile = (base, kind, id) => {
+        if (!ID_PATTERN.test(id)) throw new Error(`Invalid ${kind} id for storage: ${id}`);
+        return path.join(base, `${id}.json`);
+    };
+    const roomFile = roomId => recordFile(dir, "room", roomId);
+    const profileFile = userId => recordFile(profileDir, "profile", userId);
+
+    function loadAll() {
+        return readRecords(dir, "room").map(({ id, data }) => ({ roomId: id, schemaVersion: data.schemaVersion, room: data.room }));
+    }
+
+    function saveRoom(roomId, schemaVersion, room) {
+        writeAtomic(roomFile(roomId), { schemaVersion, room });
+    }
+
+    function deleteRoom(roomId) {
+        fs.rmSync(roomFile(roomId), { force: true });
+    }
+
+    function loadProfiles() {
+        return readRecords(profileDir, "profile").map(({ id, data }) => ({ userId: id, profile: data }));
+    }
+
+    function saveProfile(userId, profile) {
+        writeAtomic(profileFile(userId), profile);
+    }
+
+    return { loadAll, saveRoom, deleteRoom, loadProfiles, saveProfile, close() {} };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,41 @@
+// ==========================
+//  ROOM STORAGE
+// ==========================
+// Every backend exposes the same synchronous interface, so a shutdown
+// handler can flush without waiting on the event loop:
+//
+//   loadAll()                       -> [{ roomId, schemaVersion, room }]
+//   saveRoom(roomId, schemaVersion, room)
+//   deleteRoom(roomId)
+//   loadProfiles()                  -> [{ userId, profile }]
+//   saveProfile(userId, profile)
+//   close()
+//
+// Pick one with STORAGE_BACKEND=file (default) or STORAGE_BACKEND=sqlite.
+
+const path = require("path");
+const { createFileStorage } = require("./fileStorage");
+const { createSqliteStorage } = require("./sqliteStorage");
+
+const DEFAULT_DATA_DIR = "data";
+
+const BACKENDS = {
+    file: env => createFileStorage(
+        env.STORAGE_DIR || path.join(DEFAULT_DATA_DIR, "rooms"),
+        env.PROFILE_DIR || path.join(DEFAULT_DATA_DIR, "profiles")
+    ),
+    sqlite: env => createSqliteStorage(env.SQLITE_FILE || path.join(DEFAULT_DATA_DIR, "rooms.sqlite"))
+};
+
+function createStorage(env = process.env) {
+    const name = (env.STORAGE_BACKEND || "file").toLowerCase();
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}", expected one of: ${Object.keys(BACKENDS).join(", ")}`);
+    }
+    const storage = factory(env);
+    storage.name = name;
+    return storage;
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,25 @@
+// Saved rooms carry the schema version they were written at, and are
+// upgraded step by step when loaded.
+
+// Bump when the saved room shape changes and add a migration from the old version.
+// ROOM_MIGRATIONS[n] upgrades a room saved at version n to n + 1.
+const SCHEMA_VERSION = 2;
+const ROOM_MIGRATIONS = {
+    // v1: rooms_data.json dump. Flat increments become a single open-ended slab
+    1: room => {
+        if (room.config && room.config.bidIncrement !== undefined) {
+            room.config.bidSlabs = [{ upTo: null, increment: room.config.bidIncrement }];
+            delete room.config.bidIncrement;
+        }
+        return room;
+    }
+};
+
+function migrateRoom(room, fromVersion) {
+    for (let version = fromVersion || 1; version < SCHEMA_VERSION; version++) {
+        if (ROOM_MIGRATIONS[version]) room = ROOM_MIGRATIONS[version](room);
+    }
+    return room;
+}
+
+module.exports = { SCHEMA_VERSION, migrateRoom };
@@ -0,0 +1,92 @@
+// Embedded SQLite database, one row per room or profile. Needs the optional
+// better-sqlite3 dependency, which is only loaded when this backend is picked.
+
+const fs = require("fs");
+const path = require("path");
+
+function createSqliteStorage(file) {
+    let Database;
+    try {
+        Database = require("better-sqlite3");
+    } catch (e) {
+        throw new Error("STORAGE_BACKEND=sqlite needs the better-sqlite3 package, run `npm install better-sqlite3`");
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS rooms (
+            id TEXT PRIMARY KEY,
+            schema_version INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS profiles (
+            id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        )
+    `);
+
+    const selectAll = db.prepare("SELECT id, schema_version, data FROM rooms");
+    const upsert = db.prepare(`
+        INSERT INTO rooms (id, schema_version, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+            schema_version = excluded.schema_version,
+            data = excluded.data,
+            updated_at = excluded.updated_at
+    `);
+    const remove = db.prepare("DELETE FROM rooms WHERE id = ?");
+    const selectProfiles = db.prepare("SELECT id, data FROM profiles");
+    const upsertProfile = db.prepare(`
+        INSERT INTO profiles (id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+            data = excluded.data,
+            updated_at = excluded.updated_at
+    `);
+
+    function loadAll() {
+        const records = [];
+        selectAll.all().forEach(row => {
+            try {
+                records.push({ roomId: row.id, schemaVersion: row.schema_version, room: JSON.parse(row.data) });
+            } catch (e) {
+                console.error(`Skipping unreadable room row ${row.id}:`, e.message);
+            }
+        });
+        return records;
+    }
+
+    function saveRoom(roomId, schemaVersion, room) {
+        upsert.run(roomId, schemaVersion, JSON.stringify(room), Date.now());
+    }
+
+    function deleteRoom(roomId) {
+        remove.run(roomId);
+    }
+
+    function loadProfiles() {
+        const records = [];
+        selectProfiles.all().forEach(row => {
+            try {
+                records.push({ userId: row.id, profile: JSON.parse(row.data) });
+            } catch (e) {
+                console.error(`Skipping unreadable profile row ${row.id}:`, e.message);
+            }
+        });
+        return records;
+    }
+
+    function saveProfile(userId, profile) {
+        upsertProfile.run(userId, JSON.stringify(profile), Date.now());
+    }
+
+    function close() {
+        if (db.open) db.close();
+    }
+
+    return { loadAll, saveRoom, deleteRoom, loadProfiles, saveProfile, close };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { OVERS_PER_INNINGS, MAX_OVERS_PER_BOWLER, simulateMatch, computeStandings } = require("../matchEngine");
+const players = require("../players.json");
+
+const sideA = { id: "A", name: "Side A", players: players.slice(0, 11) };
+const sideB = { id: "B", name: "Side B", players: players.slice(11, 22) };
+const SEEDS = Array.from({ length: 20 }, (_, i) => `ROOM42:${i}`);
+
+test("the same seed and XIs produce the same scorecard", () => {
+    assert.deepStrictEqual(simulateMatch(sideA, sideB, "ROOM42:0"), simulateMatch(sideA, sideB, "ROOM42:0"));
+});
+
+test("a different seed produces a different scorecard", () => {
+    const first = simulateMatch(sideA, sideB, "ROOM42:0");
+    const second = simulateMatch(sideA, sideB, "ROOM42:1");
+    assert.notDeepStrictEqual(first.innings, second.innings);
+});
+
+test("innings stay within the wicket, over and bowling limits", () => {
+    SEEDS.forEach(seed => {
+        simulateMatch(sideA, sideB, seed).innings.forEach(inn => {
+            assert.ok(inn.wickets <= 10, `${seed}: ${inn.wickets} wickets`);
+            assert.ok(inn.balls <= OVERS_PER_INNINGS * 6, `${seed}: ${inn.balls} balls`);
+            assert.strictEqual(inn.bowling.reduce((sum, f) => sum + f.balls, 0), inn.balls);
+            inn.bowling.forEach(f => assert.ok(f.balls <= MAX_OVERS_PER_BOWLER * 6, `${seed}: ${f.name} bowled ${f.overs}`));
+        });
+    });
+});
+
+test("the top scorer comes from the batting cards", () => {
+    SEEDS.forEach(seed => {
+        const match = simulateMatch(sideA, sideB, seed);
+        match.innings.forEach(inn => {
+            const card = inn.batting.find(b => b.id === inn.topScorer.id);
+            assert.ok(card, `${seed}: top scorer did not bat`);
+            assert.strictEqual(card.runs, inn.topScorer.runs);
+            assert.strictEqual(card.runs, Math.max(...inn.batting.map(b => b.runs)));
+        });
+        assert.strictEqual(match.topScorer.runs, Math.max(...match.innings.map(inn => inn.topScorer.runs)));
+    });
+});
+
+test("standings award points and net run rate from the results", () => {
+    const innings = (teamId, runs, balls, allOut = false) => ({ teamId, runs, balls, allOut });
+    const sides = ["A", "B", "C"].map(id => ({ id, name: `Side ${id}` }));
+    const matches = [
+        // B is all out in 18.2 overs, so it is charged the full 20
+        { teams: ["A", "B"], innings: [innings("A", 150, 120), innings("B", 140, 110, true)], winnerId: "A", tied: false },
+        { teams: ["B", "C"], innings: [innings("B", 120, 120), innings("C", 120, 120)], winnerId: null, tied: true },
+        { teams: ["C", "A"], innings: [innings("C", 100, 90, true), innings("A", 101, 60)], winnerId: "A", tied: false }
+    ];
+
+    const table = computeStandings(sides, matches);
+    assert.deepStrictEqual(table.map(r => [r.teamId, r.played, r.won, r.lost, r.tied, r.points]), [
+        ["A", 2, 2, 0, 0, 4],
+        ["B", 2, 0, 1, 1, 1],
+        ["C", 2, 0, 1, 1, 1]
+    ]);
+    // A: 251 runs in 30 overs against 240 in 40
+    assert.deepStrictEqual(table.map(r => r.nrr), [2.367, -0.25, -1.867]);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCsv, parsePoolContent, validatePlayerRow, validatePlayerRows } = require("../playerPool");
+
+const row = (overrides = {}) => ({ name: "Test Player", role: "Batsman", bat: 80, bowl: 20, field: 70, ...overrides });
+const errorFields = result => result.errors.map(([field]) => field);
+
+test("CSV fields may be quoted to hold commas, quotes and newlines", () => {
+    const csv = 'name,role,bat\r\n"Smith, Steve",Batsman,90\n"The ""Wall""",Batsman,85\n"Two\nLines",Bowler,10\n\n';
+    assert.deepStrictEqual(parseCsv(csv), [
+        { name: "Smith, Steve", role: "Batsman", bat: "90" },
+        { name: 'The "Wall"', role: "Batsman", bat: "85" },
+        { name: "Two\nLines", role: "Bowler", bat: "10" }
+    ]);
+});
+
+test("short CSV rows fill the missing cells with blanks", () => {
+    assert.deepStrictEqual(parseCsv("name,role,country\nA,Bowler"), [{ name: "A", role: "Bowler", country: "" }]);
+});
+
+test("uploads must be JSON arrays or CSV", () => {
+    assert.ok(parsePoolContent("json", "{\"name\":").error.startsWith("Invalid JSON"));
+    assert.strictEqual(parsePoolContent("json", "{}").error, "A JSON pool must be an array of players");
+    assert.strictEqual(parsePoolContent("xml", "<players/>").error, "Pools must be uploaded as JSON or CSV");
+    assert.strictEqual(parsePoolContent("csv", "   ").error, "The uploaded file is empty");
+    assert.deepStrictEqual(parsePoolContent("json", "[{\"name\":\"A\"}]").rows, [{ name: "A" }]);
+});
+
+test("a valid row becomes a player with the pool defaults", () => {
+    const { player } = validatePlayerRow(row({ role: "batsman" }), 4);
+    assert.strictEqual(player.id, "player_4");
+    assert.strictEqual(player.role, "Batsman");
+    assert.strictEqual(player.country, "India");
+    assert.strictEqual(player.status, "Uncapped");
+    assert.strictEqual(player.basePrice, 0.2);
+    assert.strictEqual(player.rating, 75);
+});
+
+test("stats must be whole numbers from 0 to 100", () => {
+    assert.ok(validatePlayerRow(row({ bat: 0, bowl: 100 })).player);
+    assert.deepStrictEqual(errorFields(validatePlayerRow(row({ bat: 101, bowl: -1, field: 55.5 }))), ["bat", "bowl", "field"]);
+    assert.deepStrictEqual(errorFields(validatePlayerRow(row({ field: "fast" }))), ["field"]);
+});
+
+test("missing required fields and unknown roles are reported", () => {
+    assert.deepStrictEqual(errorFields(validatePlayerRow({ role: "Batsman" })), ["name", "bat", "bowl", "field"]);
+    const { errors } = validatePlayerRow(row({ role: "Spinner" }));
+    assert.deepStrictEqual(errors, [["role", 'Unknown role "Spinner", expected Batsman, Bowler, All-Rounder, Wicketkeeper']]);
+});
+
+test("country has to be India or Overseas", () => {
+    assert.strictEqual(validatePlayerRow(row({ country: "overseas" })).player.country, "Overseas");
+    assert.deepStrictEqual(validatePlayerRow(row({ country: "Australia" })).errors, [["country", 'Country must be India or Overseas, got "Australia"']]);
+});
+
+test("duplicate ids are rejected with the row they clash with", () => {
+    const { players, errors } = validatePlayerRows([row({ id: "7" }), row({ id: "8" }), row({ id: "7", name: "Copy" })]);
+    assert.deepStrictEqual(players.map(p => p.id), ["7", "8"]);
+    assert.deepStrictEqual(errors, [{ row: 3, field: "id", message: 'Duplicate id "7", already used on row 1' }]);
+});
+
+test("row errors carry their 1-based row number and valid rows still load", () => {
+    const { players, errors } = validatePlayerRows([row(), row({ bat: 200 }), "nonsense"]);
+    assert.strictEqual(players.length, 1);
+    assert.deepStrictEqual(errors.map(e => [e.row, e.field]), [[2, "bat"], [3, null]]);
+    assert.deepStrictEqual(validatePlayerRows([]).errors, [{ row: null, field: null, message: "The pool has no players" }]);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileStorage } = require("../storage/fileStorage");
+const { SCHEMA_VERSION, migrateRoom } = require("../storage/migrations");
+
+// Room and profile directories under a temp root that is removed after the test
+function tempDirs(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return { dir: path.join(root, "rooms"), profileDir: path.join(root, "profiles") };
+}
+
+test("file storage round-trips rooms and leaves no temp files behind", (t) => {
+    const { dir, profileDir } = tempDirs(t);
+    const storage = createFileStorage(dir, profileDir);
+    storage.saveRoom("ABC123", SCHEMA_VERSION, { hostId: "u1", teams: {} });
+    storage.saveRoom("ABC123", SCHEMA_VERSION, { hostId: "u2", teams: {} });
+    storage.saveRoom("XYZ789", SCHEMA_VERSION, { hostId: "u3", teams: {} });
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ["ABC123.json", "XYZ789.json"]);
+    const records = createFileStorage(dir, profileDir).loadAll().sort((a, b) => a.roomId.localeCompare(b.roomId));
+    assert.deepStrictEqual(records, [
+        { roomId: "ABC123", schemaVersion: SCHEMA_VERSION, room: { hostId: "u2", teams: {} } },
+        { roomId: "XYZ789", schemaVersion: SCHEMA_VERSION, room: { hostId: "u3", teams: {} } }
+    ]);
+
+    storage.deleteRoom("XYZ789");
+    assert.deepStrictEqual(storage.loadAll().map(r => r.roomId), ["ABC123"]);
+});
+
+test("loading removes temp files from interrupted writes and skips unreadable rooms", (t) => {
+    const { dir, profileDir } = tempDirs(t);
+    const storage = createFileStorage(dir, profileDir);
+    storage.saveRoom("ABC123", SCHEMA_VERSION, { hostId: "u1" });
+    fs.writeFileSync(path.join(dir, "ABC123.json.tmp"), "{\"schemaVersion\":");
+    fs.writeFileSync(path.join(dir, "BROKEN.json"), "not json");
+
+    assert.deepStrictEqual(storage.loadAll().map(r => r.roomId), ["ABC123"]);
+    assert.ok(!fs.existsSync(path.join(dir, "ABC123.json.tmp")));
+});
+
+test("profiles are stored apart from rooms and survive a reload", (t) => {
+    const { dir, profileDir } = tempDirs(t);
+    const storage = createFileStorage(dir, profileDir);
+    storage.saveProfile("user-1", { name: "Asha", rating: 1216 });
+    storage.saveProfile("user-1", { name: "Asha", rating: 1232 });
+
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+    assert.deepStrictEqual(createFileStorage(dir, profileDir).loadProfiles(), [{ userId: "user-1", profile: { name: "Asha", rating: 1232 } }]);
+});
+
+test("ids that could escape the storage directories are refused", (t) => {
+    const { dir, profileDir } = tempDirs(t);
+    const storage = createFileStorage(dir, profileDir);
+    assert.throws(() => storage.saveRoom("../evil", SCHEMA_VERSION, {}));
+    assert.throws(() => storage.saveProfile("../evil", {}));
+});
+
+test("v1 rooms get their flat bid increment turned into a single slab", () => {
+    const room = migrateRoom({ config: { startingPurse: 100, bidIncrement: 0.5 } }, 1);
+    assert.deepStrictEqual(room.config, { startingPurse: 100, bidSlabs: [{ upTo: null, increment: 0.5 }] });
+});
+
+test("rooms without a saved version are treated as v1, current rooms are left alone", () => {
+    assert.deepStrictEqual(migrateRoom({ config: { bidIncrement: 0.25 } }).config, { bidSlabs: [{ upTo: null, increment: 0.25 }] });
+
+    const current = { config: { bidSlabs: [{ upTo: 2, increment: 0.1 }, { upTo: null, increment: 0.2 }] } };
+    assert.deepStrictEqual(migrateRoom(structuredClone(current), SCHEMA_VERSION), current);
+});